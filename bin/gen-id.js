@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import {
+  createSeededRandom,
+  generateCustomId,
+  isValidCustomId,
+  parseCustomId,
+  verifySignedId,
+} from "../generateCustomId.js";
+
+const usage = `Usage:
+  gen-id [generate] [options]          Generate IDs
+  gen-id validate [options] [ids...]   Validate the structure, check bit and signature of IDs (from stdin if none given)
+  gen-id parse [options] [ids...]      Parse IDs into their components (from stdin if none given)
+
+Configuration:
+  --config <path>           JSON file with generateCustomId options, or named configurations
+  --name <name>             Named configuration to use from the config file
+  --prefix <prefix>         Prefix (default: "ID")
+  --no-prefix               Exclude the prefix
+  --postfix <postfix>       Postfix
+  --format <template>       Template such as "{prefix}-{rand:8}-{date:YYMM}", instead of the layout flags
+  --segment-length <n,...>  Length of each random segment, or a comma-separated length per segment (default: 12)
+  --num-segments <n>        Number of random segments (default: 1)
+  --no-date                 Exclude the date segment
+  --two-digit-year          Use a 2-digit year
+  --timestamp               Use a full timestamp instead of just the date
+  --local-time              Use local time instead of UTC
+  --time-zone <zone>        IANA time zone instead of UTC, e.g. Pacific/Honolulu
+  --timestamp-precision <p> minutes, seconds or milliseconds (default: seconds)
+  --timestamp-separator <s> Separator between the date and time, e.g. T (default: the delimiter)
+  --timestamp-encoding <e>  date or base36 (default: date)
+  --delimiter <char|none>   Delimiter between segments (default: "-")
+  --lowercase               Lowercase the random segments
+  --check-bit               Include a check bit
+  --check-algorithm <name>  legacy, iso7064, luhn or damm (default: legacy)
+  --alphabet <name|chars>   base36, crockford, hex, numeric, unambiguous or custom characters
+  --monotonic               Generate lexicographically sortable IDs
+  --worker-id <n>           Worker ID followed by a per-tick counter, unique per worker
+  --worker-id-length <n>    Number of characters of the worker ID (default: 2)
+  --counter-length <n>      Number of characters of the counter (default: 3)
+  --on-counter-exhausted <action>
+                            throw or wait when the counter runs out within a tick (default: throw)
+  --blocklist <words,...>   Comma-separated words to reject instead of the default blocklist
+  --no-blocklist            Allow blocked words in the random segments
+  --min-entropy-bits <n>    Minimum entropy of the random segments in bits, or none (default: 39)
+  --signing-key-id <id>     Key ID of the signing keys in the config file to sign with
+  --signing-length <n>      Number of characters of the signature (default: 8)
+  --seed <seed>             Seed for reproducible, NOT cryptographically secure IDs
+
+Signing keys are only read from the config file, as arguments are visible to
+other processes.
+
+Output:
+  --count <n>               Number of IDs to generate (default: 1)
+  --output <format>         newline, json or csv (default: newline)
+  -h, --help                Show this help`;
+
+const optionFlags = {
+  config: { type: "string" },
+  name: { type: "string" },
+  prefix: { type: "string" },
+  "no-prefix": { type: "boolean" },
+  postfix: { type: "string" },
+  format: { type: "string" },
+  "segment-length": { type: "string" },
+  "num-segments": { type: "string" },
+  "no-date": { type: "boolean" },
+  "two-digit-year": { type: "boolean" },
+  timestamp: { type: "boolean" },
+  "local-time": { type: "boolean" },
+  "time-zone": { type: "string" },
+  "timestamp-precision": { type: "string" },
+  "timestamp-separator": { type: "string" },
+  "timestamp-encoding": { type: "string" },
+  delimiter: { type: "string" },
+  lowercase: { type: "boolean" },
+  "check-bit": { type: "boolean" },
+  "check-algorithm": { type: "string" },
+  alphabet: { type: "string" },
+  monotonic: { type: "boolean" },
+  "worker-id": { type: "string" },
+  "worker-id-length": { type: "string" },
+  "counter-length": { type: "string" },
+  "on-counter-exhausted": { type: "string" },
+  blocklist: { type: "string" },
+  "no-blocklist": { type: "boolean" },
+  "min-entropy-bits": { type: "string" },
+  "signing-key-id": { type: "string" },
+  "signing-length": { type: "string" },
+  seed: { type: "string" },
+  count: { type: "string" },
+  output: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const outputFormats = ["newline", "json", "csv"];
+
+/**
+ * Loads the generateCustomId options from a JSON config file.
+ *
+ * @param {string} path - The path of the config file.
+ * @param {string} [name] - The named configuration to use from the file.
+ * @returns {Object} - The configuration options.
+ */
+function loadConfig(path, name) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read config file "${path}": ${error.message}`);
+  }
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Config file "${path}" must contain a JSON object`);
+  }
+  if (name === undefined) {
+    return config;
+  }
+  if (!Object.hasOwn(config, name)) {
+    throw new Error(
+      `Config file "${path}" has no configuration named "${name}"`
+    );
+  }
+  return config[name];
+}
+
+function toInteger(flag, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`--${flag} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+/**
+ * Builds the generateCustomId options from the config file and the flags,
+ * with flags taking precedence.
+ *
+ * @param {Object} values - The parsed flags.
+ * @returns {Object} - The configuration options.
+ */
+function buildOptions(values) {
+  const options =
+    values.config !== undefined ? loadConfig(values.config, values.name) : {};
+  if (values.config === undefined && values.name !== undefined) {
+    throw new Error("--name requires --config");
+  }
+
+  if (values.prefix !== undefined) options.prefix = values.prefix;
+  if (values["no-prefix"]) options.prefix = null;
+  if (values.postfix !== undefined) options.postfix = values.postfix;
+  if (values.format !== undefined) options.format = values.format;
+  if (values["segment-length"] !== undefined) {
+    const lengths = values["segment-length"]
+      .split(",")
+      .map((length) => toInteger("segment-length", length));
+    options.segmentLength = lengths.length > 1 ? lengths : lengths[0];
+  }
+  if (values["num-segments"] !== undefined) {
+    options.numSegments = toInteger("num-segments", values["num-segments"]);
+  }
+  if (values["no-date"]) options.includeDate = false;
+  if (values["two-digit-year"]) options.useTwoDigitYear = true;
+  if (values.timestamp) options.useTimestamp = true;
+  if (values["local-time"]) options.useLocalTime = true;
+  if (values["time-zone"] !== undefined) options.timeZone = values["time-zone"];
+  if (values["timestamp-precision"] !== undefined) {
+    options.timestampPrecision = values["timestamp-precision"];
+  }
+  if (values["timestamp-separator"] !== undefined) {
+    options.timestampSeparator = values["timestamp-separator"];
+  }
+  if (values["timestamp-encoding"] !== undefined) {
+    options.timestampEncoding = values["timestamp-encoding"];
+  }
+  if (values.delimiter !== undefined) {
+    options.delimiter = values.delimiter === "none" ? null : values.delimiter;
+  }
+  if (values.lowercase) options.lowercase = true;
+  if (values["check-bit"]) options.includeCheckBit = true;
+  if (values["check-algorithm"] !== undefined) {
+    options.checkAlgorithm = values["check-algorithm"];
+  }
+  if (values.alphabet !== undefined) options.alphabet = values.alphabet;
+  if (values.monotonic) options.monotonic = true;
+  if (values["worker-id"] !== undefined) {
+    options.workerId = toInteger("worker-id", values["worker-id"]);
+  }
+  if (values["worker-id-length"] !== undefined) {
+    options.workerIdLength = toInteger(
+      "worker-id-length",
+      values["worker-id-length"]
+    );
+  }
+  if (values["counter-length"] !== undefined) {
+    options.counterLength = toInteger(
+      "counter-length",
+      values["counter-length"]
+    );
+  }
+  if (values["on-counter-exhausted"] !== undefined) {
+    options.onCounterExhausted = values["on-counter-exhausted"];
+  }
+  if (values.blocklist !== undefined) {
+    options.blocklist = values.blocklist.split(",").filter(Boolean);
+  }
+  if (values["no-blocklist"]) options.blocklist = null;
+  if (values["min-entropy-bits"] !== undefined) {
+    const bits = values["min-entropy-bits"];
+    if (bits !== "none" && !/^\d+(\.\d+)?$/.test(bits)) {
+      throw new Error(
+        "--min-entropy-bits must be a non-negative number or none"
+      );
+    }
+    options.minEntropyBits = bits === "none" ? null : Number(bits);
+  }
+  for (const [flag, name] of [
+    ["signing-key-id", "keyId"],
+    ["signing-length", "length"],
+  ]) {
+    if (values[flag] !== undefined) {
+      if (options.signing == null) {
+        throw new Error(`--${flag} requires signing keys in the config file`);
+      }
+      options.signing = {
+        ...options.signing,
+        [name]:
+          flag === "signing-length"
+            ? toInteger(flag, values[flag])
+            : values[flag],
+      };
+    }
+  }
+  if (values.seed !== undefined) {
+    options.random = createSeededRandom(
+      /^-?\d+$/.test(values.seed) ? Number(values.seed) : values.seed
+    );
+  }
+  return options;
+}
+
+function toCsvField(value) {
+  const string = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+}
+
+/**
+ * Formats rows of output in the requested format.
+ *
+ * @param {Object[]} rows - The rows to output.
+ * @param {string[]} columns - The columns of the rows, in order.
+ * @param {string} output - The output format: newline, json or csv.
+ * @param {Function} toLine - Formats a row as a line of newline output.
+ * @returns {string} - The formatted output.
+ */
+function formatRows(rows, columns, output, toLine) {
+  if (output === "json") {
+    return `${JSON.stringify(rows, null, 2)}\n`;
+  }
+  const lines =
+    output === "csv"
+      ? [
+          columns.join(","),
+          ...rows.map((row) =>
+            columns.map((c) => toCsvField(row[c])).join(",")
+          ),
+        ]
+      : rows.map(toLine);
+  return lines.length ? `${lines.join("\n")}\n` : "";
+}
+
+function readIds(positionals, stdin) {
+  if (positionals.length > 0) {
+    return positionals;
+  }
+  return stdin
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv - The command line arguments, without the node and script paths.
+ * @param {Object} io - The input and output of the tool.
+ * @param {Function} io.readStdin - Returns a Promise of the standard input as a string.
+ * @param {Function} io.stdout - Writes to standard output.
+ * @param {Function} io.stderr - Writes to standard error.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function run(argv, { readStdin, stdout, stderr }) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: optionFlags,
+      allowPositionals: true,
+    });
+
+    if (values.help) {
+      stdout(`${usage}\n`);
+      return 0;
+    }
+
+    const commands = ["generate", "validate", "parse"];
+    const command = commands.includes(positionals[0])
+      ? positionals.shift()
+      : "generate";
+    const output = values.output ?? "newline";
+    if (!outputFormats.includes(output)) {
+      throw new Error(`--output must be one of: ${outputFormats.join(", ")}`);
+    }
+    const options = buildOptions(values);
+
+    if (command === "generate") {
+      if (positionals.length > 0) {
+        throw new Error(`Unknown command "${positionals[0]}"`);
+      }
+      const count =
+        values.count === undefined ? 1 : toInteger("count", values.count);
+      const ids = generateCustomId(options).generateMany(count);
+      stdout(
+        output === "json"
+          ? `${JSON.stringify(ids, null, 2)}\n`
+          : formatRows(
+              ids.map((id) => ({ id })),
+              ["id"],
+              output,
+              (row) => row.id
+            )
+      );
+      return 0;
+    }
+
+    const ids = readIds(
+      positionals,
+      positionals.length ? "" : await readStdin()
+    );
+
+    if (command === "validate") {
+      const rows = ids.map((id) => ({
+        id,
+        valid:
+          options.signing == null
+            ? isValidCustomId(id, options)
+            : verifySignedId(id, options),
+      }));
+      stdout(
+        formatRows(
+          rows,
+          ["id", "valid"],
+          output,
+          (row) => `${row.id}\t${row.valid ? "valid" : "invalid"}`
+        )
+      );
+      return rows.every((row) => row.valid) ? 0 : 1;
+    }
+
+    let exitCode = 0;
+    const rows = [];
+    for (const id of ids) {
+      try {
+        const parsed = parseCustomId(id, options);
+        rows.push({
+          id,
+          ...parsed,
+          date: parsed.date === null ? null : parsed.date.toISOString(),
+          segments:
+            output === "csv" ? parsed.segments.join(" ") : parsed.segments,
+        });
+      } catch (error) {
+        stderr(`gen-id: ${error.message}\n`);
+        exitCode = 1;
+      }
+    }
+    stdout(
+      formatRows(
+        rows,
+        [
+          "id",
+          "prefix",
+          "date",
+          "time",
+          "segments",
+          "postfix",
+          "checkBit",
+          "workerId",
+          "counter",
+          "keyId",
+          "signature",
+        ],
+        output,
+        (row) => JSON.stringify(row)
+      )
+    );
+    return exitCode;
+  } catch (error) {
+    stderr(`gen-id: ${error.message}\n`);
+    return 2;
+  }
+}
+
+run.usage = usage;
+
+export { run };
+
+const isMain =
+  process.argv[1] !== undefined &&
+  fs.realpathSync(process.argv[1]) ===
+    fs.realpathSync(fileURLToPath(import.meta.url));
+
+async function readStream(stream) {
+  if (stream.isTTY) {
+    return "";
+  }
+  let text = "";
+  stream.setEncoding("utf8");
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+if (isMain) {
+  process.exitCode = await run(process.argv.slice(2), {
+    readStdin: () => readStream(process.stdin),
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+  });
+}
@@ -1,20 +1,100 @@
-interface CustomIdOptions {
+/**
+ * Built-in alphabets, or a string of 2 to 256 unique characters
+ * - "base36": 0-9 and A-Z
+ * - "crockford": Crockford Base32, 0-9 and A-Z without I, L, O and U
+ * - "hex": 0-9 and A-F
+ * - "numeric": 0-9
+ * - "unambiguous": digits and letters without look-alikes (0, 1, 2, 5, I, O, S, Z)
+ */
+export type Alphabet =
+  | "base36"
+  | "crockford"
+  | "hex"
+  | "numeric"
+  | "unambiguous"
+  | (string & {});
+
+/**
+ * Built-in check bit algorithms, or a function returning the check bit for an ID
+ * - "legacy": sum of character codes modulo 36
+ * - "iso7064": ISO 7064 MOD 37,36
+ * - "luhn": Luhn mod N over the alphabet
+ * - "damm": Damm algorithm over the alphabet
+ */
+export type CheckAlgorithm =
+  | "legacy"
+  | "iso7064"
+  | "luhn"
+  | "damm"
+  | ((id: string, alphabet: string) => string);
+
+/**
+ * A function returning the given number of random bytes
+ */
+export type RandomSource = (length: number) => Uint8Array;
+
+/**
+ * A cryptographic random source with the getRandomValues method of Web
+ * Crypto, e.g. globalThis.crypto
+ */
+export interface EntropySource {
+  getRandomValues(array: Uint8Array): unknown;
+}
+
+/**
+ * Signs IDs with a truncated HMAC-SHA256 of the rest of the ID, either with a
+ * single key or with keys by key ID. The key ID prefixes the signature, so
+ * IDs signed with an earlier key keep verifying while its key ID is in keys.
+ */
+export type SigningOptions = (
+  | {
+      /**
+       * The signing key, strings are UTF-8 encoded
+       */
+      key: string | Uint8Array;
+    }
+  | {
+      /**
+       * The signing keys by key ID, key IDs are of equal length and use only
+       * characters of the alphabet
+       */
+      keys: Record<string, string | Uint8Array>;
+
+      /**
+       * The key ID of the key new IDs are signed with, required to generate
+       * IDs but not to verify them
+       */
+      keyId?: string;
+    }
+) & {
+  /**
+   * Number of characters of the signature, at most 128 bits (default: 8)
+   */
+  length?: number;
+};
+
+/**
+ * Precision of a timestamp: HHmm, HHmmss or HHmmssSSS, or the unit of a
+ * base-36 epoch time
+ */
+export type TimestampPrecision = "minutes" | "seconds" | "milliseconds";
+
+export interface CustomIdOptions {
   /**
    * Optional prefix (default: "ID"), use null to exclude prefix
    */
   prefix?: string | null;
 
   /**
-   * Length of each random segment (default: 12)
-   * - 1 segment: 8 to 15 characters
-   * - 2 segments: 5 to 10 characters each
-   * - 3 segments: 4 to 8 characters each
-   * - 4 segments: 3 to 6 characters each
+   * Length of each random segment, or an array with the length of every
+   * segment (default: 12). The random segments together must carry at least
+   * minEntropyBits bits of entropy.
    */
-  segmentLength?: number;
+  segmentLength?: number | readonly number[];
 
   /**
-   * Number of random segments (default: 1, min: 1, max: 4)
+   * Number of random segments (default: 1, or the length of a segmentLength
+   * array)
    */
   numSegments?: number;
 
@@ -38,6 +118,30 @@ interface CustomIdOptions {
    */
   useLocalTime?: boolean;
 
+  /**
+   * IANA time zone of the date and timestamp, e.g. "Pacific/Honolulu", instead
+   * of UTC (default: null). Cannot be combined with useLocalTime.
+   */
+  timeZone?: string | null;
+
+  /**
+   * Precision of the timestamp (default: "seconds"). Requires useTimestamp.
+   */
+  timestampPrecision?: TimestampPrecision;
+
+  /**
+   * Separator between the date and the time of the timestamp, e.g. "T"
+   * (default: the delimiter), use null for none. Requires useTimestamp.
+   */
+  timestampSeparator?: string | null;
+
+  /**
+   * "date" for a date and time, or "base36" for a compact, fixed-width base-36
+   * epoch time in the timestamp precision (default: "date"). Requires
+   * useTimestamp.
+   */
+  timestampEncoding?: "date" | "base36";
+
   /**
    * Delimiter to use between segments (default: "-"), use null for no delimiter
    */
@@ -57,6 +161,128 @@ interface CustomIdOptions {
    * Whether to include a check bit at the end (default: false)
    */
   includeCheckBit?: boolean;
+
+  /**
+   * Algorithm used to calculate the check bit (default: "legacy")
+   */
+  checkAlgorithm?: CheckAlgorithm;
+
+  /**
+   * Alphabet of the random segments and check bit (default: "base36")
+   */
+  alphabet?: Alphabet;
+
+  /**
+   * Whether to generate lexicographically sortable IDs (default: false).
+   * The date is replaced by the milliseconds since the epoch, encoded in the
+   * alphabet, and within the same millisecond the random segments are
+   * incremented instead of regenerated. If the clock goes backwards the last
+   * time is reused, and an error is thrown if the random segments overflow.
+   * Cannot be combined with includeDate: false, useTimestamp,
+   * useTwoDigitYear, useLocalTime or timeZone.
+   */
+  monotonic?: boolean;
+
+  /**
+   * ID of the worker generating the IDs (default: null), from 0 to the
+   * alphabet size to the power of workerIdLength minus 1. The worker ID is
+   * encoded in the alphabet after the date or timestamp and followed by a
+   * counter that restarts at every tick of it, so workers with distinct IDs
+   * never generate the same ID. Requires a date or timestamp and cannot be
+   * combined with monotonic.
+   */
+  workerId?: number | null;
+
+  /**
+   * Number of characters of the worker ID (default: 2)
+   */
+  workerIdLength?: number;
+
+  /**
+   * Number of characters of the counter (default: 3)
+   */
+  counterLength?: number;
+
+  /**
+   * What to do when the counter runs out within one tick: "throw" an error
+   * or "wait", blocking until the next tick, which requires a time in seconds
+   * or milliseconds (default: "throw")
+   */
+  onCounterExhausted?: "throw" | "wait";
+
+  /**
+   * Clock returning the current time as a Date or epoch milliseconds (default: Date.now)
+   */
+  now?: () => Date | number;
+
+  /**
+   * Source of random bytes, called with a length (default: the platform's cryptographic random source)
+   */
+  random?: RandomSource;
+
+  /**
+   * Cryptographic random source to use instead of the platform's, which is
+   * globalThis.crypto or else the Node.js crypto module (default: null).
+   * Cannot be combined with random.
+   */
+  entropySource?: EntropySource | null;
+
+  /**
+   * Appends a signature computed over the rest of the ID, before the check
+   * bit (default: null), see verifySignedId
+   */
+  signing?: SigningOptions | null;
+
+  /**
+   * Template describing the layout of the ID instead of the layout options
+   * (default: null). Supports {prefix}, {postfix}, {date:PATTERN},
+   * {time:PATTERN}, {epoch:PRECISION}, {rand:N}, {literal:TEXT}, {worker},
+   * {counter}, {signature} and {check},
+   * with the pattern
+   * fields YYYY, YY, MM, DD, HH, mm, ss and SSS. Cannot be combined with
+   * segmentLength, numSegments, includeDate, useTwoDigitYear, useTimestamp,
+   * delimiter, includeCheckBit or monotonic, e.g.
+   * "{prefix}-R{rand:4}-{date:YYMM}".
+   */
+  format?: string | null;
+
+  /**
+   * Words rejected in the random segments (default: defaultBlocklist), use
+   * null to disable. Matched case-insensitively, with leetspeak substitutions
+   * and across the delimiters between segments; random segments containing a
+   * blocked word are regenerated. Matches made only of digits are allowed
+   * unless the word itself is a number.
+   */
+  blocklist?: readonly string[] | null;
+
+  /**
+   * Minimum entropy of the random segments in bits (default: 39, about 8
+   * base-36 characters, or null with a format or workerId), use null for no
+   * minimum.
+   * Throws if the configuration falls below it.
+   */
+  minEntropyBits?: number | null;
+}
+
+/**
+ * A function that generates IDs with a preset configuration
+ */
+export interface CustomIdGenerator {
+  (): string;
+
+  /**
+   * Generates the given number of IDs
+   * @param count The number of IDs to generate
+   * @returns The generated IDs, in order
+   */
+  generateMany(count: number): string[];
+
+  /**
+   * Returns an iterator that lazily generates IDs
+   * @param count The number of IDs to generate (default: unlimited)
+   * @returns An iterator over the generated IDs
+   */
+  iterate(count?: number): IterableIterator<string>;
 }
 
 /**
@@ -64,11 +290,557 @@ interface CustomIdOptions {
  * @param options Configuration options for ID generation
  * @returns A function that generates unique IDs with the preset configuration
  */
-export function generateCustomId(options?: CustomIdOptions): () => string;
+export function generateCustomId(options?: CustomIdOptions): CustomIdGenerator;
+
+/**
+ * The components of an ID, as returned by parseCustomId.
+ */
+export interface ParsedCustomId {
+  /**
+   * The prefix, or null if the configuration has no prefix
+   */
+  prefix: string | null;
+
+  /**
+   * The date (and time, when useTimestamp is set) encoded in the ID, or null if includeDate is false
+   */
+  date: Date | null;
+
+  /**
+   * The raw HHMMSS time component, the encoded milliseconds of a monotonic ID,
+   * or null if neither applies
+   */
+  time: string | null;
+
+  /**
+   * The random segments, in order
+   */
+  segments: string[];
+
+  /**
+   * The postfix, or null if the configuration has no postfix
+   */
+  postfix: string | null;
+
+  /**
+   * The check bit, or null if includeCheckBit is false
+   */
+  checkBit: string | null;
+
+  /**
+   * The worker ID, only present if the configuration has a workerId
+   */
+  workerId?: number;
+
+  /**
+   * The counter within the tick, only present if the configuration has a workerId
+   */
+  counter?: number;
+
+  /**
+   * The key ID of the signature, null with a single key, only present if the
+   * configuration has the signing option
+   */
+  keyId?: string | null;
+
+  /**
+   * The signature without its key ID, only present if the configuration has
+   * the signing option
+   */
+  signature?: string;
+}
+
+/**
+ * Parses an ID back into its components using the options it was generated with.
+ * @param id The ID string to parse
+ * @param options The configuration options passed to generateCustomId
+ * @returns The parsed components of the ID
+ * @throws Error if the ID does not match the configuration or its check bit is invalid
+ */
+export function parseCustomId(
+  id: string,
+  options?: CustomIdOptions
+): ParsedCustomId;
+
+/**
+ * Returns when an ID was created, from its date, timestamp, epoch or monotonic
+ * time, read in the time zone it was generated in. Wall times repeated when the
+ * clocks fall back, with useLocalTime or timeZone, are read as their first
+ * occurrence, an hour early for IDs created in the repeated hour.
+ * @param id The ID string
+ * @param options The configuration options passed to generateCustomId
+ * @returns The creation time, at the precision of the ID
+ * @throws Error if the options contain no date or time, or the ID does not match them
+ */
+export function getIdTimestamp(id: string, options?: CustomIdOptions): Date;
+
+/**
+ * String bounds of the IDs created within a time range
+ */
+export interface IdRange {
+  /**
+   * Inclusive lower bound
+   */
+  lower: string;
+
+  /**
+   * Exclusive upper bound
+   */
+  upper: string;
+}
+
+/**
+ * Returns string bounds of the IDs created from the start to the end date, so
+ * a range scan with `id >= lower AND id < upper` in code point order finds
+ * them. The bounds have the precision of the ID, and the IDs must start with
+ * their date or time.
+ * @param start The earliest creation time
+ * @param end The latest creation time
+ * @param options The configuration options passed to generateCustomId
+ * @returns The bounds
+ * @throws Error if the options do not sort IDs by time, or the dates are invalid or cannot be encoded
+ */
+export function idRangeForDates(
+  start: Date | number,
+  end: Date | number,
+  options?: CustomIdOptions
+): IdRange;
+
+/**
+ * Checks whether an ID matches the full structure of the given options: the
+ * prefix, date validity, segment lengths, alphabet, case, postfix and check bit.
+ * @param id The ID string to validate
+ * @param options The configuration options passed to generateCustomId
+ * @returns True if the ID could have been generated with the options, false otherwise
+ * @throws Error if the options are invalid
+ */
+export function isValidCustomId(id: string, options?: CustomIdOptions): boolean;
+
+/**
+ * Checks whether an ID is valid for the given options and carries the
+ * signature of one of their signing keys, compared in constant time.
+ * @param id The ID string to verify
+ * @param options The configuration options passed to generateCustomId, with the signing option
+ * @returns True if the ID is valid and its signature matches, false otherwise
+ * @throws Error if the options are invalid or have no signing option
+ */
+export function verifySignedId(id: string, options: CustomIdOptions): boolean;
+
+/**
+ * Normalizes a human-entered ID to the form generated with the given options:
+ * removes whitespace, restores the configured delimiters and corrects the case
+ * of every character, honoring lowercase. With the Crockford alphabet O is
+ * read as 0 and I and L as 1. The result is not validated.
+ * @param input The entered ID
+ * @param options The configuration options passed to generateCustomId
+ * @returns The normalized ID
+ * @throws Error if the options are invalid, or the input has more or fewer characters than the IDs of the options besides whitespace and delimiters
+ */
+export function normalizeCustomId(
+  input: string,
+  options?: CustomIdOptions
+): string;
+
+/**
+ * Suggests corrections of a human-entered ID whose check bit does not match:
+ * the valid IDs that differ from the normalized input by a single
+ * substitution or a transposition of adjacent characters, with substitutions
+ * of easily confused characters first, then transpositions.
+ * @param input The entered ID
+ * @param options The configuration options passed to generateCustomId, with a check bit
+ * @returns The suggested IDs, only the normalized input if it is valid, or an empty array if none is found
+ * @throws Error if the options are invalid or have no check bit
+ */
+export function suggestCorrections(
+  input: string,
+  options?: CustomIdOptions
+): string[];
+
+/**
+ * Returns an anchored regular expression matching the IDs generated with the
+ * given options. Checks the structure and the ranges of the date fields, but
+ * not whole dates or the check bit.
+ * @param options The configuration options passed to generateCustomId
+ * @returns The regular expression
+ */
+export function toRegExp(options?: CustomIdOptions): RegExp;
+
+/**
+ * A JSON Schema for a string, as returned by toJsonSchema.
+ */
+export interface CustomIdJsonSchema {
+  type: "string";
+  pattern: string;
+  minLength: number;
+  maxLength: number;
+}
+
+/**
+ * Returns a JSON Schema for the IDs generated with the given options, whose
+ * pattern is the source of toRegExp.
+ * @param options The configuration options passed to generateCustomId
+ * @returns The JSON Schema
+ */
+export function toJsonSchema(options?: CustomIdOptions): CustomIdJsonSchema;
+
+/**
+ * Encodes a non-negative integer, such as a sequential database key, into an
+ * ID with a keyed format-preserving permutation of the random segments. The
+ * options must not include a date, time or worker ID.
+ * @param value The non-negative safe integer to encode
+ * @param options The configuration options passed to generateCustomId
+ * @param secret The secret key, at least 16 random bytes are recommended
+ * @returns The ID
+ * @throws Error if the options or secret are invalid or the value is too large for the options
+ */
+export function encodeId(
+  value: number,
+  options: CustomIdOptions,
+  secret: string | Uint8Array
+): string;
+
+/**
+ * Decodes an ID created with encodeId back into its integer.
+ * @param id The ID to decode
+ * @param options The configuration options passed to encodeId
+ * @param secret The secret key passed to encodeId
+ * @returns The integer
+ * @throws Error if the ID does not match the options, has an invalid check bit or was not encoded with the secret
+ */
+export function decodeId(
+  id: string,
+  options: CustomIdOptions,
+  secret: string | Uint8Array
+): number;
+
+/**
+ * Converts an ID to another configuration: its date, random segments and
+ * worker ID and counter are written with the delimiter, case, check bit and
+ * signature of the target options. The prefix and postfix are kept unless
+ * the target options set them. Conversions that would lose information, such
+ * as the prefix or postfix, or need information the IDs lack, are refused.
+ * @param id The ID string to convert
+ * @param fromOptions The configuration options the ID was generated with
+ * @param toOptions The configuration options to convert it to
+ * @returns The converted ID
+ * @throws Error if the options are invalid, the conversion would lose or lack information, or the ID does not match the source options
+ */
+export function convertCustomId(
+  id: string,
+  fromOptions: CustomIdOptions,
+  toOptions: CustomIdOptions
+): string;
+
+/**
+ * An ID that convertCustomIds could not convert
+ */
+export interface ConversionError {
+  /**
+   * Position of the ID in the input
+   */
+  index: number;
+
+  /**
+   * The ID
+   */
+  id: unknown;
+
+  /**
+   * Why it could not be converted
+   */
+  message: string;
+}
+
+/**
+ * Result of convertCustomIds
+ */
+export interface ConversionResult {
+  /**
+   * The converted IDs in input order, null for the ones that failed
+   */
+  converted: (string | null)[];
+
+  /**
+   * The IDs that could not be converted
+   */
+  errors: ConversionError[];
+}
+
+/**
+ * Converts many IDs to another configuration, see convertCustomId, reporting
+ * the IDs that cannot be converted instead of stopping.
+ * @param ids The IDs to convert
+ * @param fromOptions The configuration options the IDs were generated with
+ * @param toOptions The configuration options to convert them to
+ * @returns The converted IDs and the errors
+ * @throws Error if the options are invalid or the conversion would lose or lack information
+ */
+export function convertCustomIds(
+  ids: Iterable<string>,
+  fromOptions: CustomIdOptions,
+  toOptions: CustomIdOptions
+): ConversionResult;
+
+/**
+ * Converts an ID to a compact binary form of its date, time, random segments
+ * and worker ID, counter and signature, without the parts the options
+ * restore. All IDs of the same options have the same byte length, and with
+ * the default layout the bytes sort by date.
+ * @param id The ID string
+ * @param options The configuration options passed to generateCustomId
+ * @returns The bytes
+ * @throws Error if the options are invalid or the ID does not match them
+ */
+export function toBytes(id: string, options?: CustomIdOptions): Uint8Array;
+
+/**
+ * Converts the binary form from toBytes back to its ID.
+ * @param bytes The bytes
+ * @param options The configuration options passed to toBytes
+ * @returns The ID
+ * @throws Error if the bytes have the wrong length or are not the binary form of an ID of the options
+ */
+export function fromBytes(bytes: Uint8Array, options?: CustomIdOptions): string;
+
+/**
+ * Converts an ID to an RFC 9562 version 8 UUID holding its binary form, which
+ * must fit in the 122 custom bits of a UUID.
+ * @param id The ID string
+ * @param options The configuration options passed to generateCustomId
+ * @returns The UUID in lowercase
+ * @throws Error if the options are invalid or their IDs do not fit in a UUID, or the ID does not match them
+ */
+export function toUUID(id: string, options?: CustomIdOptions): string;
+
+/**
+ * Converts a UUID from toUUID back to its ID.
+ * @param uuid The UUID, in any case
+ * @param options The configuration options passed to toUUID
+ * @returns The ID
+ * @throws Error if the UUID is not a version 8 UUID of an ID of the options
+ */
+export function fromUUID(uuid: string, options?: CustomIdOptions): string;
+
+/**
+ * A synchronous store of seen IDs
+ */
+export interface IdStore {
+  has(id: string): boolean;
+  add(id: string): void;
+}
+
+/**
+ * An asynchronous store of seen IDs, e.g. backed by a database
+ */
+export interface AsyncIdStore {
+  has(id: string): Promise<boolean>;
+  add(id: string): Promise<void>;
+}
+
+/**
+ * Counters of a unique ID generator
+ */
+export interface UniqueGeneratorStats {
+  /**
+   * Number of unique IDs generated
+   */
+  generated: number;
+
+  /**
+   * Number of generated IDs that were already in the store
+   */
+  collisions: number;
+
+  /**
+   * Number of calls that gave up after exhausting the retries
+   */
+  exhausted: number;
+}
+
+export interface UniqueGeneratorOptions<S extends IdStore | AsyncIdStore> {
+  /**
+   * Store of seen IDs (default: createLruStore())
+   */
+  store?: S;
+
+  /**
+   * How often to regenerate a colliding ID before giving up (default: 10)
+   */
+  maxRetries?: number;
+}
+
+/**
+ * Wraps generateCustomId so every ID is checked against a store of seen IDs
+ * and regenerated on collision.
+ * @param options Configuration options for ID generation
+ * @param uniqueOptions The store and the maximum number of retries
+ * @returns A function that generates unique IDs (a Promise of the ID for an asynchronous store)
+ * @throws Error from the returned function if every retry collided
+ */
+export function createUniqueGenerator(
+  options?: CustomIdOptions,
+  uniqueOptions?: UniqueGeneratorOptions<IdStore>
+): (() => string) & { readonly stats: UniqueGeneratorStats };
+export function createUniqueGenerator(
+  options: CustomIdOptions | undefined,
+  uniqueOptions: UniqueGeneratorOptions<AsyncIdStore> & { store: AsyncIdStore }
+): (() => Promise<string>) & { readonly stats: UniqueGeneratorStats };
+
+/**
+ * An ID identified by an IdRegistry, discriminated by the type name.
+ */
+export type IdentifiedId<Name extends string> = {
+  [K in Name]: { type: K; parsed: ParsedCustomId };
+}[Name];
+
+/**
+ * A registry of named ID types, as returned by createIdRegistry.
+ */
+export interface IdRegistry<Name extends string = never> {
+  /**
+   * Defines a named ID type.
+   * @param name The name of the type
+   * @param options Configuration options for ID generation
+   * @returns The registry, for chaining
+   * @throws Error if the name is taken or IDs of the type could be confused with another type
+   */
+  defineIdType<NewName extends string>(
+    name: NewName,
+    options?: CustomIdOptions
+  ): IdRegistry<Name | NewName>;
+
+  /**
+   * Returns the generator of a type.
+   */
+  generator(name: Name): CustomIdGenerator;
+
+  /**
+   * Generates an ID of a type.
+   */
+  generate(name: Name): string;
+
+  /**
+   * Finds the type an ID belongs to by its prefix, structure and check bit.
+   * @returns The type name and the parsed components, or null if no type matches
+   */
+  identify(id: string): IdentifiedId<Name> | null;
+
+  /**
+   * The names of the defined types, in definition order.
+   */
+  readonly types: Name[];
+}
+
+/**
+ * Creates a registry of named ID types. Types whose IDs could be confused are
+ * rejected when they are defined.
+ * @param types Configuration options for ID generation, keyed by type name
+ * @returns The registry
+ */
+export function createIdRegistry<
+  Types extends Record<string, CustomIdOptions> = {}
+>(types?: Types): IdRegistry<Extract<keyof Types, string>>;
+
+/**
+ * Creates an in-memory store that keeps the most recently used IDs.
+ * @param options The maximum number of IDs to keep (default: 100000)
+ * @returns A synchronous store
+ */
+export function createLruStore(options?: {
+  maxSize?: number;
+}): IdStore & { readonly size: number };
+
+/**
+ * Creates a store backed by an append-only file with one ID per line. Node.js only.
+ * @param path The path of the file, created if it does not exist
+ * @returns A synchronous store
+ * @throws Error outside Node.js
+ */
+export function createFileStore(
+  path: string
+): IdStore & { readonly size: number };
+
+/**
+ * Returns an async iterator over generated IDs for use with for await. IDs are
+ * only generated when the consumer asks for the next one.
+ * @param options The configuration options passed to generateCustomId
+ * @param iteratorOptions The number of IDs to generate (default: unlimited)
+ * @returns An async iterator over the IDs
+ * @throws Error if the options or the count are invalid
+ */
+export function idIterator(
+  options?: CustomIdOptions,
+  iteratorOptions?: { count?: number }
+): AsyncIterableIterator<string>;
+
+/**
+ * Creates a seeded pseudo-random byte source for the random option.
+ *
+ * NOT cryptographically secure: the output is predictable from the seed. Use it
+ * only to generate reproducible IDs in tests and fixtures.
+ * @param seed The seed, an integer or a string
+ * @returns A function that returns the given number of pseudo-random bytes
+ */
+export function createSeededRandom(seed: number | string): RandomSource;
+
+/**
+ * The words rejected in random segments by default. Extend it with
+ * `blocklist: [...defaultBlocklist, "word"]`.
+ */
+export const defaultBlocklist: readonly string[];
+
+/**
+ * Settings of estimateCollisionProbability and capacityFor.
+ */
+export interface CollisionEstimateOptions {
+  /**
+   * The time in milliseconds over which the IDs are generated, spread evenly
+   * over the periods of the date or time; one period by default and ignored
+   * without a date or time.
+   */
+  window?: number;
+}
+
+/**
+ * Estimates the probability of at least one collision among the given number
+ * of IDs with the birthday bound. IDs with a date, time or monotonic time
+ * component only collide within the same period, the finest field of the date
+ * or time (a day for YYYYMMDD, a second for a timestamp, a millisecond for
+ * monotonic IDs), so the count is per period unless a window is given.
+ * Returns 0 for layouts with a worker ID, which are unique by construction.
+ * @param options The configuration options passed to generateCustomId
+ * @param count The number of IDs generated per period, or over the window
+ * @param settings The window over which the IDs are generated
+ * @returns The probability of at least one collision, between 0 and 1
+ */
+export function estimateCollisionProbability(
+  options: CustomIdOptions,
+  count: number,
+  settings?: CollisionEstimateOptions
+): number;
+
+/**
+ * Returns the largest number of IDs per period, or over the window, that
+ * keeps the probability of a collision at or below the target. Returns
+ * Infinity for layouts with a worker ID.
+ * @param options The configuration options passed to generateCustomId
+ * @param targetProbability The acceptable probability of a collision, between 0 and 1
+ * @param settings The window over which the IDs are generated
+ * @returns The number of IDs per period, or over the window
+ */
+export function capacityFor(
+  options: CustomIdOptions,
+  targetProbability: number,
+  settings?: CollisionEstimateOptions
+): number;
 
 /**
  * Validates the check bit of a generated ID.
  * @param id The ID string to validate
+ * @param options The configuration options the ID was generated with; the delimiter is detected when not given
  * @returns True if the check bit is valid, false otherwise
  */
-export function validateCheckBit(id: string): boolean;
+export function validateCheckBit(
+  id: string,
+  options?: Pick<CustomIdOptions, "delimiter" | "checkAlgorithm" | "alphabet">
+): boolean;
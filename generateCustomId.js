@@ -3,211 +3,4392 @@ const isNode =
   process.versions != null &&
   process.versions.node != null;
 
-let crypto;
-if (isNode) {
-  crypto = await import("crypto").then((module) => module.default || module);
+// The most bytes getRandomValues fills in one call
+const MAX_RANDOM_VALUES_LENGTH = 65536;
+
+/**
+ * Returns the platform's cryptographic random source: the Web Crypto object
+ * of browsers, web workers, Deno and Node.js, or, when Node.js runs with the
+ * global one disabled, the crypto module from process.getBuiltinModule.
+ * Looked up on every call rather than imported, so the module needs no
+ * top-level await. Node.js versions without process.getBuiltinModule, before
+ * 20.16 and 22.3, have no synchronous way to load the crypto module from an
+ * ES module and are not supported.
+ *
+ * @returns {Object} - An object with a getRandomValues(array) method.
+ * @throws {Error} - If the platform has no cryptographic random source.
+ */
+function getDefaultEntropySource() {
+  if (typeof globalThis.crypto?.getRandomValues === "function") {
+    return globalThis.crypto;
+  }
+  const nodeCrypto = globalThis.process?.getBuiltinModule?.("crypto");
+  if (nodeCrypto) {
+    return { getRandomValues: (array) => nodeCrypto.randomFillSync(array) };
+  }
+  throw new Error(
+    isNode
+      ? "No cryptographic random source is available, use Node.js 20.16+ or 22.3+ or pass an entropySource such as the webcrypto object of the crypto module"
+      : "No cryptographic random source is available, pass an entropySource with a getRandomValues method"
+  );
+}
+
+/**
+ * Reads random bytes from an entropy source, in chunks of the most bytes
+ * getRandomValues accepts.
+ *
+ * @param {Object} source - An object with a getRandomValues(array) method.
+ * @param {number} length - The number of bytes.
+ * @returns {Uint8Array} - The random bytes.
+ */
+function readEntropy(source, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += MAX_RANDOM_VALUES_LENGTH) {
+    source.getRandomValues(
+      bytes.subarray(i, Math.min(i + MAX_RANDOM_VALUES_LENGTH, length))
+    );
+  }
+  return bytes;
+}
+
+function getRandomBytes(length) {
+  return readEntropy(getDefaultEntropySource(), length);
+}
+
+const textEncoder = new TextEncoder();
+
+// Round constants of SHA-256, the fractional parts of the cube roots of the
+// first 64 primes
+const sha256Constants = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * Computes the SHA-256 hash of the given bytes. Implemented here because the
+ * hash functions of Web Crypto are asynchronous and generating IDs is not.
+ *
+ * @param {Uint8Array} bytes - The bytes to hash.
+ * @returns {Uint8Array} - The 32-byte hash.
+ */
+function sha256(bytes) {
+  // Pad with a 1 bit, zeros and the bit length to a multiple of 64 bytes
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, bytes.length * 8);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const words = new Uint32Array(64);
+  const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 64; i++) {
+      if (i < 16) {
+        words[i] = view.getUint32(offset + i * 4);
+      } else {
+        const s0 =
+          rotate(words[i - 15], 7) ^
+          rotate(words[i - 15], 18) ^
+          (words[i - 15] >>> 3);
+        const s1 =
+          rotate(words[i - 2], 17) ^
+          rotate(words[i - 2], 19) ^
+          (words[i - 2] >>> 10);
+        words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+      }
+    }
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 =
+        h +
+        (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) +
+        ((e & f) ^ (~e & g)) +
+        sha256Constants[i] +
+        words[i];
+      const t2 =
+        (rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) +
+        ((a & b) ^ (a & c) ^ (b & c));
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] += value;
+    });
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+  return digest;
+}
+
+/**
+ * Computes the HMAC-SHA256 of a message.
+ *
+ * @param {Uint8Array} key - The secret key.
+ * @param {Uint8Array|string} message - The message, strings are UTF-8 encoded.
+ * @returns {Uint8Array} - The 32-byte message authentication code.
+ */
+function hmacSha256(key, message) {
+  const messageBytes =
+    typeof message === "string" ? textEncoder.encode(message) : message;
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha256(key) : key);
+  const inner = new Uint8Array(64 + messageBytes.length);
+  const outer = new Uint8Array(64 + 32);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(messageBytes, 64);
+  outer.set(sha256(inner), 64);
+  return sha256(outer);
+}
+
+/**
+ * Computes the HMAC-SHA256 of a message with the Node.js crypto module when
+ * available, and with hmacSha256 elsewhere, as the HMAC of Web Crypto is
+ * asynchronous.
+ *
+ * @param {Uint8Array} key - The secret key.
+ * @param {string} message - The message, UTF-8 encoded.
+ * @returns {Uint8Array} - The 32-byte message authentication code.
+ */
+function computeHmac(key, message) {
+  const nodeCrypto = globalThis.process?.getBuiltinModule?.("crypto");
+  if (nodeCrypto) {
+    return nodeCrypto.createHmac("sha256", key).update(message).digest();
+  }
+  return hmacSha256(key, message);
+}
+
+/**
+ * Compares two strings in time independent of where they differ, so the
+ * comparison does not reveal how much of a signature was guessed right.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} - True if the strings are equal.
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Converts a secret to the bytes of a key.
+ *
+ * @param {string|Uint8Array} secret - The secret, strings are UTF-8 encoded.
+ * @param {string} [name="Secret"] - The name of the secret, used in error messages.
+ * @returns {Uint8Array} - The key.
+ * @throws {Error} - If the secret is empty or of another type.
+ */
+function toSecretBytes(secret, name = "Secret") {
+  if (typeof secret === "string" && secret.length > 0) {
+    return textEncoder.encode(secret);
+  }
+  if (secret instanceof Uint8Array && secret.length > 0) {
+    return secret;
+  }
+  throw new Error(`${name} must be a non-empty string or Uint8Array`);
+}
+
+const alphabets = {
+  base36: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  crockford: "0123456789ABCDEFGHJKMNPQRSTVWXYZ",
+  hex: "0123456789ABCDEF",
+  numeric: "0123456789",
+  unambiguous: "346789ABCDEFGHJKLMNPQRTUVWXY",
+};
+
+/**
+ * Creates a seeded pseudo-random byte source for the `random` option.
+ *
+ * NOT cryptographically secure: the output is predictable from the seed. Use
+ * it only to generate reproducible IDs in tests and fixtures.
+ *
+ * @param {number|string} seed - The seed, an integer or a string.
+ * @returns {Function} - A function that returns the given number of pseudo-random bytes.
+ *
+ * @example
+ * const generateId = generateCustomId({ random: createSeededRandom(42), now: () => 0 });
+ */
+function createSeededRandom(seed) {
+  let state;
+  if (typeof seed === "number" && Number.isInteger(seed)) {
+    state = seed >>> 0;
+  } else if (typeof seed === "string") {
+    // FNV-1a
+    state = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      state = Math.imul(state ^ seed.charCodeAt(i), 0x01000193) >>> 0;
+    }
+  } else {
+    throw new Error("Seed must be an integer or a string");
+  }
+
+  // splitmix32 expands the seed into the state of sfc32
+  const splitmix32 = () => {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+  let a = splitmix32();
+  let b = splitmix32();
+  let c = splitmix32();
+  let d = splitmix32();
+
+  const sfc32 = () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
+  };
+
+  return function (length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i += 4) {
+      let value = sfc32();
+      for (let j = i; j < Math.min(i + 4, length); j++) {
+        bytes[j] = value & 0xff;
+        value >>>= 8;
+      }
+    }
+    return bytes;
+  };
+}
+
+/**
+ * Creates a byte source that serves requests from a pre-filled buffer and
+ * refills it from the given source when it runs out, so many small requests
+ * cost one call into the source.
+ *
+ * @param {Function} random - The source of random bytes.
+ * @param {number} [size=16384] - The size of the buffer, at most 65536 (the limit of getRandomValues).
+ * @returns {Function} - A function that returns the given number of random bytes.
+ */
+function createBytePool(random, size = 16384) {
+  let pool = new Uint8Array(0);
+  let offset = 0;
+  return function (length) {
+    if (length > size) {
+      return random(length);
+    }
+    if (offset + length > pool.length) {
+      pool = random(size);
+      offset = 0;
+    }
+    offset += length;
+    return pool.subarray(offset - length, offset);
+  };
+}
+
+/**
+ * Generates a random segment of the given length from the alphabet.
+ *
+ * Bytes that would make some characters more likely than others are rejected
+ * and redrawn, so every character of the alphabet is equally likely.
+ *
+ * @param {number} length - The length of the segment.
+ * @param {string} [alphabet=alphabets.base36] - The characters to draw from (at most 256).
+ * @param {boolean} [lowercase=false] - Whether to lowercase the segment.
+ * @param {Function} [random=getRandomBytes] - The source of random bytes.
+ * @returns {string} - The random segment.
+ */
+function getRandomSegment(
+  length,
+  alphabet = alphabets.base36,
+  lowercase = false,
+  random = getRandomBytes
+) {
+  const limit = 256 - (256 % alphabet.length);
+  let segment = "";
+  let remaining = length;
+  while (remaining > 0) {
+    const bytes = random(remaining);
+    for (let i = 0; i < bytes.length && remaining > 0; i++) {
+      if (bytes[i] < limit) {
+        segment += alphabet[bytes[i] % alphabet.length];
+        remaining--;
+      }
+    }
+  }
+  return lowercase ? segment.toLowerCase() : segment;
+}
+
+/**
+ * Encodes a non-negative integer in the alphabet, left-padded to a fixed
+ * width so that string order equals numeric order for sorted alphabets.
+ *
+ * @param {number} value - The integer to encode.
+ * @param {string} alphabet - The alphabet to encode with.
+ * @param {number} width - The number of characters to encode to.
+ * @returns {string} - The encoded value.
+ */
+function encodeNumber(value, alphabet, width) {
+  let encoded = "";
+  let remaining = value;
+  for (let i = 0; i < width; i++) {
+    encoded = alphabet[remaining % alphabet.length] + encoded;
+    remaining = Math.floor(remaining / alphabet.length);
+  }
+  if (remaining > 0) {
+    throw new Error(`Value ${value} does not fit in ${width} characters`);
+  }
+  return encoded;
+}
+
+/**
+ * Decodes an integer encoded with encodeNumber.
+ *
+ * @param {string} encoded - The encoded value.
+ * @param {string} alphabet - The alphabet it was encoded with.
+ * @returns {number} - The decoded integer.
+ */
+function decodeNumber(encoded, alphabet) {
+  let value = 0;
+  for (const char of encoded) {
+    value = value * alphabet.length + alphabet.indexOf(char);
+  }
+  return value;
+}
+
+/**
+ * Increments a string of alphabet characters by one, as a base-N number.
+ *
+ * @param {string} value - The string to increment.
+ * @param {string} alphabet - The alphabet of the string.
+ * @returns {string|null} - The incremented string, or null if it overflowed.
+ */
+function incrementString(value, alphabet) {
+  const chars = value.split("");
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const index = alphabet.indexOf(chars[i]);
+    if (index < alphabet.length - 1) {
+      chars[i] = alphabet[index + 1];
+      return chars.join("");
+    }
+    chars[i] = alphabet[0];
+  }
+  return null;
+}
+
+// Monotonic IDs encode 48 bits of milliseconds, like ULID (until year 10889)
+const MONOTONIC_TIME_BITS = 48;
+
+const alphabetLookups = new Map();
+
+/**
+ * Maps the characters of an ID to their values in the alphabet.
+ *
+ * Letters are compared case-insensitively unless the alphabet contains both
+ * cases of a letter. Alphanumeric characters outside the alphabet (e.g. in a
+ * prefix) contribute their base-36 value modulo the alphabet size and all
+ * other characters (delimiters) are skipped.
+ *
+ * @param {string} id - The ID string to convert.
+ * @param {string} alphabet - The alphabet of the check bit.
+ * @returns {number[]} - The values of the characters of the ID.
+ */
+function toCheckValues(id, alphabet) {
+  let lookup = alphabetLookups.get(alphabet);
+  if (!lookup) {
+    lookup = new Map();
+    [...alphabet].forEach((char, i) => lookup.set(char, i));
+    [...alphabet].forEach((char, i) => {
+      for (const variant of [char.toLowerCase(), char.toUpperCase()]) {
+        if (!lookup.has(variant)) {
+          lookup.set(variant, i);
+        }
+      }
+    });
+    alphabetLookups.set(alphabet, lookup);
+  }
+
+  const values = [];
+  for (const char of id) {
+    if (lookup.has(char)) {
+      values.push(lookup.get(char));
+    } else if (/^[0-9a-z]$/i.test(char)) {
+      values.push(parseInt(char, 36) % alphabet.length);
+    }
+  }
+  return values;
+}
+
+/**
+ * Sums the character codes of the ID modulo the alphabet size. Kept for IDs
+ * generated before the other algorithms were available; it does not detect
+ * transpositions.
+ *
+ * @param {string} id - The ID string to calculate the check bit for.
+ * @param {string} alphabet - The alphabet of the check bit.
+ * @returns {string} - The calculated check bit.
+ */
+function legacyCheckBit(id, alphabet) {
+  const sum = id.split("").reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  return alphabet[sum % alphabet.length];
+}
+
+/**
+ * ISO 7064 hybrid system check character, MOD 37,36 for the base-36 alphabet.
+ *
+ * @param {string} id - The ID string to calculate the check bit for.
+ * @param {string} alphabet - The alphabet of the check bit, with an even number of characters.
+ * @returns {string} - The calculated check bit.
+ */
+function iso7064CheckBit(id, alphabet) {
+  const modulus = alphabet.length;
+  let product = modulus;
+  for (const value of toCheckValues(id, alphabet)) {
+    let sum = (product + value) % modulus;
+    if (sum === 0) {
+      sum = modulus;
+    }
+    product = (sum * 2) % (modulus + 1);
+  }
+  return alphabet[(modulus + 1 - product) % modulus];
+}
+
+/**
+ * Luhn mod N check character over the alphabet.
+ *
+ * @param {string} id - The ID string to calculate the check bit for.
+ * @param {string} alphabet - The alphabet of the check bit.
+ * @returns {string} - The calculated check bit.
+ */
+function luhnCheckBit(id, alphabet) {
+  const modulus = alphabet.length;
+  const values = toCheckValues(id, alphabet);
+  let factor = 2;
+  let sum = 0;
+  for (let i = values.length - 1; i >= 0; i--) {
+    const addend = factor * values[i];
+    sum += Math.floor(addend / modulus) + (addend % modulus);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return alphabet[(modulus - (sum % modulus)) % modulus];
+}
+
+// Damm's published table of order 10, there is no construction below for it
+const decimalDammTable = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0],
+];
+
+// Reduction polynomials of GF(2^k) for k = 2..8
+const binaryFieldPolynomials = {
+  2: 0b111,
+  3: 0b1011,
+  4: 0b10011,
+  5: 0b100101,
+  6: 0b1000011,
+  7: 0b10000011,
+  8: 0b100011011,
+};
+
+/**
+ * Builds the operation table of a totally anti-symmetric quasigroup of the
+ * given order for the Damm algorithm. The order is split into 2^k · m with m
+ * odd, and the table is the direct product of x * y = x·t + y over GF(2^k)
+ * and x * y = 2x + y over Z_m.
+ *
+ * @param {number} order - The size of the alphabet.
+ * @returns {number[][]} - The order×order operation table.
+ */
+function buildDammTable(order) {
+  if (order === 10) {
+    return decimalDammTable;
+  }
+
+  let binaryOrder = 1;
+  while ((order / binaryOrder) % 2 === 0) {
+    binaryOrder *= 2;
+  }
+  if (binaryOrder === 2) {
+    throw new Error(
+      `The damm check algorithm is not available for a ${order}-character alphabet`
+    );
+  }
+  const oddOrder = order / binaryOrder;
+  const degree = Math.log2(binaryOrder);
+
+  const binaryOp = (x, y) => {
+    if (binaryOrder === 1) {
+      return 0;
+    }
+    let product = x << 1;
+    if (product & binaryOrder) {
+      product ^= binaryFieldPolynomials[degree];
+    }
+    return product ^ y;
+  };
+  const oddOp = (x, y) => (2 * x + y) % oddOrder;
+
+  const table = [];
+  for (let x = 0; x < order; x++) {
+    table.push([]);
+    for (let y = 0; y < order; y++) {
+      table[x].push(
+        binaryOp(x % binaryOrder, y % binaryOrder) +
+          oddOp(Math.floor(x / binaryOrder), Math.floor(y / binaryOrder)) *
+            binaryOrder
+      );
+    }
+  }
+  return table;
+}
+
+const dammTables = new Map();
+
+/**
+ * Damm check character over the alphabet.
+ *
+ * @param {string} id - The ID string to calculate the check bit for.
+ * @param {string} alphabet - The alphabet of the check bit.
+ * @returns {string} - The calculated check bit.
+ */
+function dammCheckBit(id, alphabet) {
+  if (!dammTables.has(alphabet.length)) {
+    dammTables.set(alphabet.length, buildDammTable(alphabet.length));
+  }
+  const table = dammTables.get(alphabet.length);
+  const interim = toCheckValues(id, alphabet).reduce(
+    (acc, value) => table[acc][value],
+    0
+  );
+  return alphabet[table[interim].indexOf(0)];
+}
+
+const checkAlgorithms = {
+  legacy: legacyCheckBit,
+  iso7064: iso7064CheckBit,
+  luhn: luhnCheckBit,
+  damm: dammCheckBit,
+};
+
+/**
+ * Calculates a check bit for the given ID string.
+ *
+ * @param {string} id - The ID string to calculate the check bit for.
+ * @param {string|Function} [checkAlgorithm="legacy"] - The name of a built-in algorithm or a function returning the check bit.
+ * @param {string} [alphabet=alphabets.base36] - The alphabet the check bit is drawn from.
+ * @returns {string} - The calculated check bit.
+ */
+function calculateCheckBit(
+  id,
+  checkAlgorithm = "legacy",
+  alphabet = alphabets.base36
+) {
+  const algorithm =
+    typeof checkAlgorithm === "function"
+      ? checkAlgorithm
+      : checkAlgorithms[checkAlgorithm];
+  return algorithm(id, alphabet);
+}
+
+// Bits of the HMAC a signature keeps at most, more would not make forging
+// harder than guessing a 128-bit key
+const MAX_SIGNATURE_BITS = 128;
+
+/**
+ * Validates the signing option and resolves it to the keys by key ID.
+ *
+ * @param {Object} signing - The signing option: { key, length } or { keys, keyId, length }.
+ * @param {string} alphabet - The characters of the alphabet.
+ * @returns {Object} - The keys as a Map from key ID to key bytes, the key ID to sign with, the key ID length, the signature length and the width of the signature token.
+ */
+function resolveSigning(signing, alphabet) {
+  if (typeof signing !== "object" || Array.isArray(signing)) {
+    throw new Error("The signing option must be an object or null");
+  }
+  const { key, keys, keyId = null, length = 8 } = signing;
+  const maxLength = Math.floor(MAX_SIGNATURE_BITS / Math.log2(alphabet.length));
+  if (!Number.isInteger(length) || length < 1 || length > maxLength) {
+    throw new Error(
+      `Signature length must be an integer from 1 to ${maxLength}`
+    );
+  }
+  if ((key === undefined) === (keys === undefined)) {
+    throw new Error("The signing option must have either a key or keys");
+  }
+
+  if (key !== undefined) {
+    if (keyId !== null) {
+      throw new Error("A signing keyId requires keys");
+    }
+    const keyMap = new Map([["", toSecretBytes(key, "Signing key")]]);
+    return { keys: keyMap, keyId: "", keyIdLength: 0, length, width: length };
+  }
+
+  if (typeof keys !== "object" || keys === null || Array.isArray(keys)) {
+    throw new Error("Signing keys must be an object of keys by key ID");
+  }
+  const entries = Object.entries(keys);
+  if (entries.length === 0) {
+    throw new Error("Signing keys must contain at least one key");
+  }
+  const keyIdLength = entries[0][0].length;
+  for (const [id] of entries) {
+    if (
+      id.length === 0 ||
+      id.length !== keyIdLength ||
+      [...id].some((char) => !alphabet.includes(char))
+    ) {
+      throw new Error(
+        `Signing key IDs must be non-empty, of equal length and use only characters of the alphabet, got "${id}"`
+      );
+    }
+  }
+  if (keyId !== null && !Object.hasOwn(keys, keyId)) {
+    throw new Error(`Signing keyId "${keyId}" is not one of the keys`);
+  }
+  const keyMap = new Map(
+    entries.map(([id, value]) => [id, toSecretBytes(value, "Signing key")])
+  );
+  return {
+    keys: keyMap,
+    keyId,
+    keyIdLength,
+    length,
+    width: keyIdLength + length,
+  };
+}
+
+/**
+ * Computes the signature of an ID, the HMAC-SHA256 of the signed text
+ * truncated to the given number of alphabet characters.
+ *
+ * @param {Uint8Array} key - The signing key.
+ * @param {string} text - The signed text, the ID without its signature and check bit.
+ * @param {string} alphabet - The characters of the alphabet.
+ * @param {number} length - The number of characters of the signature.
+ * @returns {string} - The signature.
+ */
+function computeSignature(key, text, alphabet, length) {
+  let hex = "";
+  for (const byte of computeHmac(key, text)) {
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  const radix = BigInt(alphabet.length);
+  let value = BigInt(`0x${hex}`);
+  let signature = "";
+  for (let i = 0; i < length; i++) {
+    signature = alphabet[Number(value % radix)] + signature;
+    value /= radix;
+  }
+  return signature;
+}
+
+/**
+ * Checks that a configuration selects a key to sign new IDs with, keys
+ * without a keyId only verify.
+ *
+ * @param {Object} config - The resolved configuration.
+ * @throws {Error} - If the signing option has keys but no keyId.
+ */
+function assertCanSign({ signing }) {
+  if (signing !== null && signing.keyId === null) {
+    throw new Error(
+      "Signing with keys requires a keyId selecting the signing key"
+    );
+  }
+}
+
+/**
+ * Fills in the signature and check bit of an ID whose other pieces are set,
+ * so the signature covers everything before it and the check bit covers the
+ * signature as well.
+ *
+ * @param {string[]} pieces - The text of every template token, empty for the check token and for the signature unless it is known.
+ * @param {Object} config - The resolved configuration.
+ * @returns {string} - The ID.
+ */
+function completePieces(pieces, config) {
+  const { template, signing, alphabet, checkAlgorithm } = config;
+  const signatureIndex = template.findIndex(
+    (token) => token.type === "signature"
+  );
+  if (signatureIndex >= 0 && pieces[signatureIndex] === "") {
+    pieces[signatureIndex] = `${signing.keyId}${computeSignature(
+      signing.keys.get(signing.keyId),
+      pieces.join(""),
+      alphabet,
+      signing.length
+    )}`;
+  }
+  const checkIndex = template.findIndex((token) => token.type === "check");
+  if (checkIndex >= 0) {
+    const checkBit = calculateCheckBit(
+      pieces.join(""),
+      checkAlgorithm,
+      alphabet
+    );
+    pieces[checkIndex] = `${template[checkIndex].separator}${checkBit}`;
+  }
+  return pieces.join("");
+}
+
+const validDelimiters = ["-", "_", "|", ".", "#", null];
+
+/**
+ * Resolves the alphabet option to the characters of the alphabet.
+ *
+ * @param {string} alphabet - The name of a built-in alphabet or a string of unique characters.
+ * @param {boolean} lowercase - Whether the random segments are lowercased.
+ * @returns {string} - The characters of the alphabet.
+ */
+function resolveAlphabet(alphabet, lowercase) {
+  if (typeof alphabet !== "string") {
+    throw new Error(
+      `Alphabet must be a string of characters or one of the following: ${Object.keys(
+        alphabets
+      ).join(", ")}`
+    );
+  }
+  if (Object.hasOwn(alphabets, alphabet)) {
+    return alphabets[alphabet];
+  }
+
+  const chars = [...alphabet];
+  if (
+    chars.length < 2 ||
+    chars.length > 256 ||
+    chars.length !== alphabet.length
+  ) {
+    throw new Error("Alphabet must contain between 2 and 256 characters");
+  }
+  const caseApplied = lowercase ? alphabet.toLowerCase() : alphabet;
+  if (new Set(caseApplied).size !== chars.length) {
+    throw new Error("Alphabet must not contain duplicate characters");
+  }
+  if (/\s/.test(alphabet)) {
+    throw new Error("Alphabet must not contain whitespace");
+  }
+  return alphabet;
+}
+
+// Fields of {date:PATTERN} and {time:PATTERN} tokens and their lengths
+const datePatternFields = {
+  YYYY: 4,
+  YY: 2,
+  MM: 2,
+  DD: 2,
+  HH: 2,
+  mm: 2,
+  ss: 2,
+  SSS: 3,
+};
+
+// Time patterns and epoch units of the timestamp precisions
+const timestampPrecisions = {
+  minutes: { pattern: "HHmm", unit: 60_000 },
+  seconds: { pattern: "HHmmss", unit: 1000 },
+  milliseconds: { pattern: "HHmmssSSS", unit: 1 },
+};
+
+// Longest duration of one value of each date field in milliseconds
+const dateFieldDurations = {
+  YYYY: 366 * 86_400_000,
+  YY: 366 * 86_400_000,
+  MM: 31 * 86_400_000,
+  DD: 86_400_000,
+  HH: 3_600_000,
+  mm: 60_000,
+  ss: 1000,
+  SSS: 1,
+};
+
+/**
+ * Returns the longest time the date, time and epoch tokens of a template can
+ * keep the same text, i.e. the duration of one tick of its finest field.
+ *
+ * @param {Object[]} template - The compiled template.
+ * @returns {number} - The duration in milliseconds, Infinity without a time.
+ */
+function getTickDuration(template) {
+  let duration = Infinity;
+  for (const token of template) {
+    if (token.type === "epoch") {
+      duration = Math.min(duration, token.unit);
+    } else if (token.type === "date" || token.type === "time") {
+      for (const part of token.parts) {
+        if (part.field) {
+          duration = Math.min(duration, dateFieldDurations[part.field]);
+        }
+      }
+    }
+  }
+  return duration;
+}
+
+/**
+ * Creates an {epoch:PRECISION} token, a base-36 epoch time wide enough for
+ * any date up to the year 9999.
+ *
+ * @param {string} precision - The precision: "minutes", "seconds" or "milliseconds".
+ * @returns {Object} - The epoch token.
+ */
+function createEpochToken(precision) {
+  if (!Object.hasOwn(timestampPrecisions, precision)) {
+    throw new Error(
+      `The {epoch} token requires a precision, one of the following: ${Object.keys(
+        timestampPrecisions
+      ).join(", ")}`
+    );
+  }
+  const { unit } = timestampPrecisions[precision];
+  const maxValue = Math.floor(Date.UTC(9999, 11, 31, 23, 59, 59, 999) / unit);
+  let width = 1;
+  while (alphabets.base36.length ** width <= maxValue) {
+    width++;
+  }
+  return { type: "epoch", unit, width };
+}
+
+/**
+ * Compiles a date or time pattern such as "YYMMDD" or "HH:mm" into fields
+ * and literal separators.
+ *
+ * @param {string} pattern - The pattern to compile.
+ * @param {string} name - The name of the token, used in error messages.
+ * @returns {Object[]} - The parts of the pattern, either { field } or { literal }.
+ */
+function compileDatePattern(pattern, name) {
+  if (!pattern) {
+    throw new Error(
+      `The {${name}} token requires a pattern, e.g. {${name}:${
+        name === "date" ? "YYYYMMDD" : "HHmmss"
+      }}`
+    );
+  }
+  const parts = [];
+  for (const [part] of pattern.matchAll(
+    /YYYY|YY|MM|DD|HH|mm|ss|SSS|[A-Za-z]|[^A-Za-z]+/g
+  )) {
+    if (Object.hasOwn(datePatternFields, part)) {
+      parts.push({ field: part });
+    } else if (/^[A-Za-z]$/.test(part)) {
+      throw new Error(
+        `Unknown character "${part}" in the {${name}:${pattern}} pattern, use YYYY, YY, MM, DD, HH, mm, ss or SSS`
+      );
+    } else {
+      parts.push({ literal: part });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Compiles a format template such as "SITE-R{rand:4}-{date:YYMM}" into tokens.
+ *
+ * Supported tokens are {prefix}, {postfix}, {date:PATTERN}, {time:PATTERN},
+ * {epoch:PRECISION}, {rand:N}, {literal:TEXT}, {worker}, {counter}, {signature} and {check}. Other text is copied as is, with "{{"
+ * and "}}" for literal braces.
+ *
+ * @param {string} format - The format template.
+ * @param {Object} config - The prefix, postfix, worker ID, counter lengths and signing the tokens refer to.
+ * @returns {Object[]} - The tokens of the template.
+ */
+function compileFormat(
+  format,
+  { prefix, postfix, workerId, workerIdLength, counterLength, signing }
+) {
+  const tokens = [];
+  let literal = "";
+  const pushToken = (token) => {
+    if (literal) {
+      tokens.push({ type: "literal", value: literal });
+      literal = "";
+    }
+    tokens.push(token);
+  };
+
+  let i = 0;
+  while (i < format.length) {
+    const char = format[i];
+    if ((char === "{" || char === "}") && format[i + 1] === char) {
+      literal += char;
+      i += 2;
+      continue;
+    }
+    if (char === "}") {
+      throw new Error(
+        `Unexpected "}" at position ${i} of format "${format}", use "}}" for a literal brace`
+      );
+    }
+    if (char !== "{") {
+      literal += char;
+      i++;
+      continue;
+    }
+
+    const end = format.indexOf("}", i);
+    if (end < 0) {
+      throw new Error(`Unclosed "{" at position ${i} of format "${format}"`);
+    }
+    const body = format.slice(i + 1, end);
+    const colon = body.indexOf(":");
+    const name = colon < 0 ? body : body.slice(0, colon);
+    const argument = colon < 0 ? "" : body.slice(colon + 1);
+    i = end + 1;
+
+    if (
+      ["prefix", "postfix", "worker", "counter", "signature", "check"].includes(
+        name
+      ) &&
+      argument
+    ) {
+      throw new Error(`The {${name}} token does not take an argument`);
+    }
+    switch (name) {
+      case "literal":
+        literal += argument;
+        break;
+      case "prefix":
+      case "postfix":
+        if ((name === "prefix" ? prefix : postfix) === null) {
+          throw new Error(
+            `Format contains {${name}} but the ${name} option is null`
+          );
+        }
+        pushToken({ type: name });
+        break;
+      case "date":
+      case "time":
+        pushToken({ type: name, parts: compileDatePattern(argument, name) });
+        break;
+      case "epoch":
+        pushToken(createEpochToken(argument));
+        break;
+      case "rand":
+        if (!/^[1-9]\d*$/.test(argument)) {
+          throw new Error(
+            `The {rand:N} token requires a positive length, got {${body}}`
+          );
+        }
+        pushToken({ type: "rand", length: Number(argument) });
+        break;
+      case "worker":
+      case "counter":
+        if (workerId === null) {
+          throw new Error(`Format contains {${name}} but no workerId is set`);
+        }
+        pushToken({
+          type: name,
+          width: name === "worker" ? workerIdLength : counterLength,
+        });
+        break;
+      case "signature":
+        if (signing === null) {
+          throw new Error(
+            "Format contains {signature} but no signing option is set"
+          );
+        }
+        pushToken({ type: "signature", width: signing.width });
+        break;
+      case "check": {
+        // A delimiter directly before the check bit belongs to it, as in the
+        // default layout, and is not covered by the check bit
+        let separator = "";
+        if (literal && validDelimiters.includes(literal.slice(-1))) {
+          separator = literal.slice(-1);
+          literal = literal.slice(0, -1);
+        }
+        pushToken({ type: "check", separator });
+        break;
+      }
+      default:
+        throw new Error(
+          `Unknown token {${body}} in format "${format}", use {prefix}, {postfix}, {date:PATTERN}, {time:PATTERN}, {epoch:PRECISION}, {rand:N}, {literal:TEXT}, {worker}, {counter}, {signature} or {check}`
+        );
+    }
+  }
+  if (literal) {
+    tokens.push({ type: "literal", value: literal });
+  }
+
+  if (!tokens.some((token) => token.type === "rand")) {
+    throw new Error(
+      `Format "${format}" must contain at least one {rand:N} token`
+    );
+  }
+  if (
+    tokens.some((token) => token.type === "epoch") &&
+    tokens.some((token) => token.type === "date" || token.type === "time")
+  ) {
+    throw new Error(
+      `Format "${format}" must not combine an {epoch} token with {date} or {time} tokens`
+    );
+  }
+  if (
+    workerId !== null &&
+    !["worker", "counter"].every((type) =>
+      tokens.some((token) => token.type === type)
+    )
+  ) {
+    throw new Error(
+      `Format "${format}" must contain the {worker} and {counter} tokens when a workerId is set`
+    );
+  }
+  if (signing !== null && !tokens.some((token) => token.type === "signature")) {
+    throw new Error(
+      `Format "${format}" must contain the {signature} token when signing is set`
+    );
+  }
+  for (const type of [
+    "prefix",
+    "postfix",
+    "date",
+    "time",
+    "epoch",
+    "worker",
+    "counter",
+    "signature",
+    "check",
+  ]) {
+    if (tokens.filter((token) => token.type === type).length > 1) {
+      throw new Error(
+        `Format "${format}" must not contain more than one {${type}} token`
+      );
+    }
+  }
+  return tokens;
+}
+
+// Formatters of IANA time zones, created once per zone
+const timeZoneFormats = new Map();
+
+/**
+ * Returns a formatter for the wall-clock time in an IANA time zone.
+ *
+ * @param {string} timeZone - The IANA time zone name, e.g. "Pacific/Honolulu".
+ * @returns {Intl.DateTimeFormat} - The formatter.
+ * @throws {RangeError} - If the time zone is unknown.
+ */
+function getTimeZoneFormat(timeZone) {
+  let format = timeZoneFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    timeZoneFormats.set(timeZone, format);
+  }
+  return format;
+}
+
+/**
+ * Splits a date into the fields used by date and time patterns.
+ *
+ * @param {Date} date - The date to split.
+ * @param {Object} config - The resolved configuration.
+ * @param {boolean} config.useLocalTime - Whether to use local system time instead of UTC.
+ * @param {string|null} config.timeZone - The IANA time zone to use instead of UTC.
+ * @returns {Object} - The zero-padded fields, keyed by pattern field.
+ */
+function toDateFields(date, { useLocalTime, timeZone }) {
+  let values;
+  if (timeZone) {
+    const parts = Object.fromEntries(
+      getTimeZoneFormat(timeZone)
+        .formatToParts(date)
+        .map(({ type, value }) => [type, Number(value)])
+    );
+    values = [
+      parts.year,
+      parts.month,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+      date.getUTCMilliseconds(),
+    ];
+  } else if (useLocalTime) {
+    values = [
+      date.getFullYear(),
+      date.getMonth() + 1,
+      date.getDate(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds(),
+      date.getMilliseconds(),
+    ];
+  } else {
+    values = [
+      date.getUTCFullYear(),
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds(),
+      date.getUTCMilliseconds(),
+    ];
+  }
+  const [YYYY, MM, DD, HH, mm, ss, SSS] = values.map((value, i) =>
+    String(value).padStart(i === 0 ? 4 : i === 6 ? 3 : 2, "0")
+  );
+  return { YYYY, YY: YYYY.slice(-2), MM, DD, HH, mm, ss, SSS };
+}
+
+/**
+ * Renders the parts of a compiled date or time pattern.
+ *
+ * @param {Object[]} parts - The compiled pattern.
+ * @param {Object} fields - The date fields, see toDateFields.
+ * @returns {string} - The formatted date or time.
+ */
+function formatDateParts(parts, fields) {
+  return parts
+    .map((part) => (part.field ? fields[part.field] : part.literal))
+    .join("");
+}
+
+/**
+ * Encodes an epoch time in the unit and width of an epoch token.
+ *
+ * @param {number} time - The epoch milliseconds.
+ * @param {Object} token - The epoch token, or a unit, width and alphabet other than base 36.
+ * @returns {string} - The encoded time.
+ * @throws {Error} - If the time is before 1970.
+ */
+function encodeEpochTime(time, { unit, width, alphabet = alphabets.base36 }) {
+  if (time < 0) {
+    throw new Error("Epoch times before 1970 cannot be encoded");
+  }
+  return encodeNumber(Math.floor(time / unit), alphabet, width);
+}
+
+/**
+ * Builds the template equivalent to the layout options: prefix, date or
+ * monotonic time, worker ID and counter, random segments, postfix, signature
+ * and check bit joined by the delimiter.
+ *
+ * @param {Object} config - The resolved layout options.
+ * @returns {Object[]} - The tokens of the template.
+ */
+function buildLayoutTemplate({
+  prefix,
+  includeDate,
+  useTwoDigitYear,
+  useTimestamp,
+  timestampPrecision,
+  timestampSeparator,
+  timestampEncoding,
+  monotonic,
+  workerId,
+  workerIdLength,
+  counterLength,
+  segmentLengths,
+  postfix,
+  signing,
+  includeCheckBit,
+  delimiterChar,
+}) {
+  const tokens = [];
+  const pushToken = (token) => {
+    if (tokens.length > 0 && delimiterChar) {
+      tokens.push({ type: "literal", value: delimiterChar });
+    }
+    tokens.push(token);
+  };
+
+  if (prefix !== null) {
+    pushToken({ type: "prefix" });
+  }
+  if (monotonic) {
+    pushToken({ type: "monotonic" });
+  } else if (includeDate && useTimestamp && timestampEncoding === "base36") {
+    pushToken(createEpochToken(timestampPrecision));
+  } else if (includeDate) {
+    pushToken({
+      type: "date",
+      parts: compileDatePattern(
+        useTwoDigitYear ? "YYMMDD" : "YYYYMMDD",
+        "date"
+      ),
+    });
+    if (useTimestamp) {
+      if (timestampSeparator) {
+        tokens.push({ type: "literal", value: timestampSeparator });
+      }
+      tokens.push({
+        type: "time",
+        parts: compileDatePattern(
+          timestampPrecisions[timestampPrecision].pattern,
+          "time"
+        ),
+      });
+    }
+  }
+  if (workerId !== null) {
+    pushToken({ type: "worker", width: workerIdLength });
+    tokens.push({ type: "counter", width: counterLength });
+  }
+  for (const length of segmentLengths) {
+    pushToken({ type: "rand", length });
+  }
+  if (postfix) {
+    pushToken({ type: "postfix" });
+  }
+  if (signing) {
+    pushToken({ type: "signature", width: signing.width });
+  }
+  if (includeCheckBit) {
+    tokens.push({ type: "check", separator: delimiterChar });
+  }
+  return tokens;
+}
+
+// Words rejected in random segments by default, matched case-insensitively
+// and with leetspeak substitutions
+const defaultBlocklist = Object.freeze([
+  "anal",
+  "anus",
+  "arse",
+  "ass",
+  "bitch",
+  "boob",
+  "cock",
+  "coon",
+  "crap",
+  "cum",
+  "cunt",
+  "dick",
+  "dyke",
+  "fag",
+  "fuck",
+  "homo",
+  "jizz",
+  "kike",
+  "nazi",
+  "nigga",
+  "nigger",
+  "penis",
+  "piss",
+  "porn",
+  "pussy",
+  "rape",
+  "sex",
+  "shit",
+  "slut",
+  "spic",
+  "tit",
+  "twat",
+  "wank",
+  "whore",
+]);
+
+// Letters that digits and symbols stand for in leetspeak
+const leetspeak = {
+  0: "o",
+  1: "il",
+  2: "z",
+  3: "e",
+  4: "a",
+  5: "s",
+  6: "g",
+  7: "t",
+  8: "b",
+  9: "g",
+  "@": "a",
+  $: "s",
+  "!": "i",
+  "+": "t",
+  "|": "il",
+};
+
+/**
+ * Returns the letters a character can stand for: itself and its leetspeak
+ * substitutions, in lowercase.
+ *
+ * @param {string} char - The character.
+ * @returns {string} - The letters.
+ */
+function toLeetLetters(char) {
+  return char.toLowerCase() + (leetspeak[char] ?? "");
+}
+
+/**
+ * Returns whether the text consists only of the digits 0-9.
+ *
+ * @param {string} text - The text.
+ * @returns {boolean} - True if the text is only digits.
+ */
+function isDigits(text) {
+  return /^[0-9]+$/.test(text);
+}
+
+/**
+ * Creates a matcher that finds blocked words in random segments.
+ *
+ * The words are compiled into one case-insensitive regular expression in
+ * which every letter also matches its leetspeak substitutions. Matches made
+ * only of digits, such as 455 or 8008, are skipped unless the word itself is
+ * a number, so numeric IDs are not rejected for reading as leetspeak.
+ *
+ * @param {string[]} words - The blocked words.
+ * @returns {Object} - The matcher with the normalized words and a find(text) method.
+ */
+function createBlocklistMatcher(words) {
+  const blocked = [...new Set(words.map((word) => word.toLowerCase()))];
+  const substitutes = (char) =>
+    Object.keys(leetspeak)
+      .filter((key) => leetspeak[key].includes(char))
+      .join("");
+  const pattern = new RegExp(
+    blocked
+      .map(
+        (word) =>
+          (isDigits(word) ? "" : `(?![0-9]{${word.length}})`) +
+          [...word]
+            .map((char) => toCharacterClass(char + substitutes(char)))
+            .join("")
+      )
+      .join("|"),
+    "i"
+  );
+  return {
+    words: blocked,
+    /**
+     * Finds the first blocked word in the text.
+     *
+     * @param {string} text - The text to search.
+     * @returns {Object|null} - The matched text and its start and end index, or null if none is found.
+     */
+    find(text) {
+      const match = pattern.exec(text);
+      return match
+        ? {
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+          }
+        : null;
+    },
+  };
+}
+
+/**
+ * Estimates the number of blocked words in a random string, which is about
+ * Poisson distributed, so exp(-matches) of all strings are accepted.
+ *
+ * @param {Object} matcher - The blocklist matcher.
+ * @param {string} alphabet - The alphabet of the random string.
+ * @param {number} length - The length of the random string.
+ * @returns {number} - The expected number of blocked words.
+ */
+function estimateBlockedMatches(matcher, alphabet, length) {
+  const letters = [...alphabet].map(toLeetLetters);
+  const digits = [...alphabet].filter(isDigits).map(toLeetLetters);
+  let matches = 0;
+  for (const word of matcher.words) {
+    if (word.length > length) {
+      continue;
+    }
+    let probability = 1;
+    let digitProbability = isDigits(word) ? 0 : 1;
+    for (const char of word) {
+      probability *=
+        letters.filter((options) => options.includes(char)).length /
+        letters.length;
+      digitProbability *=
+        digits.filter((options) => options.includes(char)).length /
+        letters.length;
+    }
+    // Without the matches made only of digits, which the matcher skips
+    matches += (length - word.length + 1) * (probability - digitProbability);
+  }
+  return matches;
+}
+
+// Number of times random segments are redrawn before giving up when they
+// keep containing blocked words
+const MAX_BLOCKLIST_ATTEMPTS = 1000;
+
+// Longest tick, in milliseconds, that onCounterExhausted: "wait" may block for
+const MAX_COUNTER_WAIT = 1000;
+
+// Minimum entropy of the random segments for the layout options, about that
+// of 8 base-36 characters and just below the 39.9 bits of 12 digits, so the
+// default segment length passes with every built-in alphabet
+const DEFAULT_MIN_ENTROPY_BITS = 39;
+
+/**
+ * Returns the entropy of the random segments of a configuration in bits,
+ * without the random segments rejected by the blocklist.
+ *
+ * @param {Object} config - The resolved configuration.
+ * @returns {number} - The entropy in bits.
+ */
+function getEntropyBits({ template, alphabet, lowercase, blocklist }) {
+  const randomLength = template.reduce(
+    (sum, token) => sum + (token.type === "rand" ? token.length : 0),
+    0
+  );
+  const bits = randomLength * Math.log2(alphabet.length);
+  if (!blocklist) {
+    return bits;
+  }
+  const blockedMatches = estimateBlockedMatches(
+    blocklist,
+    lowercase ? alphabet.toLowerCase() : alphabet,
+    randomLength
+  );
+  return Math.max(0, bits - blockedMatches * Math.LOG2E);
+}
+
+/**
+ * Applies defaults to the given options and validates them.
+ *
+ * Shared by generateCustomId and parseCustomId so an options object is read
+ * identically when building and when decomposing an ID.
+ *
+ * @param {Object} [options={}] - Configuration options, see generateCustomId.
+ * @returns {Object} - The resolved configuration, including the delimiter character to join on.
+ */
+function resolveOptions(options = {}) {
+  const {
+    prefix = "ID",
+    segmentLength = 12,
+    numSegments = Array.isArray(segmentLength) ? segmentLength.length : 1,
+    includeDate = true,
+    useTwoDigitYear = false,
+    useTimestamp = false,
+    useLocalTime = false,
+    timeZone = null,
+    timestampPrecision = "seconds",
+    timestampSeparator,
+    timestampEncoding = "date",
+    delimiter = "-",
+    lowercase = false,
+    postfix = null,
+    includeCheckBit = false,
+    checkAlgorithm = "legacy",
+    alphabet = "base36",
+    monotonic = false,
+    workerId = null,
+    workerIdLength = 2,
+    counterLength = 3,
+    onCounterExhausted = "throw",
+    now = Date.now,
+    random = getRandomBytes,
+    entropySource = null,
+    signing = null,
+    blocklist = defaultBlocklist,
+    format = null,
+    minEntropyBits = format === null && workerId === null
+      ? DEFAULT_MIN_ENTROPY_BITS
+      : null,
+  } = options;
+
+  if (format !== null) {
+    if (typeof format !== "string") {
+      throw new Error("Format must be a string or null");
+    }
+    const layoutOptions = [
+      "segmentLength",
+      "numSegments",
+      "includeDate",
+      "useTwoDigitYear",
+      "useTimestamp",
+      "timestampPrecision",
+      "timestampSeparator",
+      "timestampEncoding",
+      "delimiter",
+      "includeCheckBit",
+      "monotonic",
+    ].filter((name) => options[name] !== undefined);
+    if (layoutOptions.length > 0) {
+      throw new Error(
+        `Format cannot be combined with the layout options ${layoutOptions.join(
+          ", "
+        )}, express them in the format instead`
+      );
+    }
+  }
+
+  if (prefix !== null && typeof prefix !== "string") {
+    throw new Error("Prefix must be a string or null");
+  }
+
+  if (
+    typeof numSegments !== "number" ||
+    !Number.isInteger(numSegments) ||
+    numSegments < 1
+  ) {
+    throw new Error("Number of segments must be a positive integer");
+  }
+
+  const segmentLengths = Array.isArray(segmentLength)
+    ? segmentLength
+    : Array(numSegments).fill(segmentLength);
+  if (segmentLengths.length !== numSegments) {
+    throw new Error(
+      `Segment lengths must have one entry per segment, got ${segmentLengths.length} for ${numSegments} segments`
+    );
+  }
+  if (
+    !segmentLengths.every(
+      (length) => typeof length === "number" && Number.isInteger(length)
+    ) ||
+    segmentLengths.some((length) => length < 1)
+  ) {
+    throw new Error(
+      "Segment length must be a positive integer or an array of positive integers"
+    );
+  }
+
+  const alphabetChars = resolveAlphabet(alphabet, lowercase);
+
+  if (!validDelimiters.includes(delimiter)) {
+    throw new Error(
+      `Delimiter must be one of the following: ${validDelimiters.join(", ")}`
+    );
+  }
+
+  if (delimiter !== null && alphabetChars.toLowerCase().includes(delimiter)) {
+    throw new Error(`Alphabet must not contain the delimiter "${delimiter}"`);
+  }
+
+  if (postfix !== null && typeof postfix !== "string") {
+    throw new Error("Postfix must be a string or null");
+  }
+
+  if (
+    typeof checkAlgorithm !== "function" &&
+    !Object.hasOwn(checkAlgorithms, checkAlgorithm)
+  ) {
+    throw new Error(
+      `Check algorithm must be a function or one of the following: ${Object.keys(
+        checkAlgorithms
+      ).join(", ")}`
+    );
+  }
+
+  if (checkAlgorithm === "iso7064" && alphabetChars.length % 2 !== 0) {
+    throw new Error(
+      "The iso7064 check algorithm requires an alphabet with an even number of characters"
+    );
+  }
+
+  if (typeof now !== "function") {
+    throw new Error(
+      'The "now" option must be a function returning a Date or epoch milliseconds'
+    );
+  }
+
+  if (typeof random !== "function") {
+    throw new Error(
+      'The "random" option must be a function returning random bytes'
+    );
+  }
+
+  if (entropySource !== null) {
+    if (typeof entropySource?.getRandomValues !== "function") {
+      throw new Error(
+        "The entropySource option must have a getRandomValues method, or be null"
+      );
+    }
+    if (options.random !== undefined) {
+      throw new Error(
+        "The random and entropySource options cannot be combined"
+      );
+    }
+  }
+
+  if (timeZone !== null) {
+    if (typeof timeZone !== "string") {
+      throw new Error("Time zone must be an IANA time zone name or null");
+    }
+    try {
+      getTimeZoneFormat(timeZone);
+    } catch (error) {
+      throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+    if (useLocalTime) {
+      throw new Error("Time zone cannot be combined with useLocalTime");
+    }
+  }
+
+  for (const name of [
+    "timestampPrecision",
+    "timestampSeparator",
+    "timestampEncoding",
+  ]) {
+    if (options[name] !== undefined && !useTimestamp) {
+      throw new Error(`The ${name} option requires useTimestamp`);
+    }
+  }
+
+  if (!Object.hasOwn(timestampPrecisions, timestampPrecision)) {
+    throw new Error(
+      `Timestamp precision must be one of the following: ${Object.keys(
+        timestampPrecisions
+      ).join(", ")}`
+    );
+  }
+
+  if (
+    timestampSeparator !== undefined &&
+    timestampSeparator !== null &&
+    typeof timestampSeparator !== "string"
+  ) {
+    throw new Error("Timestamp separator must be a string or null");
+  }
+
+  if (!["date", "base36"].includes(timestampEncoding)) {
+    throw new Error('Timestamp encoding must be "date" or "base36"');
+  }
+
+  if (
+    timestampEncoding === "base36" &&
+    (useTwoDigitYear ||
+      useLocalTime ||
+      timeZone !== null ||
+      timestampSeparator !== undefined)
+  ) {
+    throw new Error(
+      "A base36 timestamp is an epoch time and cannot be combined with useTwoDigitYear, useLocalTime, timeZone or timestampSeparator"
+    );
+  }
+
+  if (monotonic) {
+    if (
+      !includeDate ||
+      useTimestamp ||
+      useTwoDigitYear ||
+      useLocalTime ||
+      timeZone !== null
+    ) {
+      throw new Error(
+        "Monotonic IDs replace the date with their own time component and cannot be combined with includeDate: false, useTimestamp, useTwoDigitYear, useLocalTime or timeZone"
+      );
+    }
+    const randomChars = lowercase ? alphabetChars.toLowerCase() : alphabetChars;
+    for (const chars of [alphabetChars, randomChars]) {
+      if ([...chars].some((char, i) => i > 0 && chars[i - 1] > char)) {
+        throw new Error(
+          "Monotonic IDs require an alphabet in ascending character order"
+        );
+      }
+    }
+  }
+
+  if (workerId !== null) {
+    for (const [name, length] of [
+      ["Worker ID length", workerIdLength],
+      ["Counter length", counterLength],
+    ]) {
+      if (!Number.isInteger(length) || length < 1) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+    }
+    const maxWorkerId = alphabetChars.length ** workerIdLength - 1;
+    if (!Number.isInteger(workerId) || workerId < 0 || workerId > maxWorkerId) {
+      throw new Error(
+        `Worker ID must be an integer from 0 to ${maxWorkerId}, or null`
+      );
+    }
+    if (!["throw", "wait"].includes(onCounterExhausted)) {
+      throw new Error(
+        'The onCounterExhausted option must be "throw" or "wait"'
+      );
+    }
+    if (monotonic) {
+      throw new Error("Monotonic IDs cannot be combined with workerId");
+    }
+  } else {
+    for (const name of [
+      "workerIdLength",
+      "counterLength",
+      "onCounterExhausted",
+    ]) {
+      if (options[name] !== undefined) {
+        throw new Error(`The ${name} option requires workerId`);
+      }
+    }
+  }
+
+  let signingConfig = null;
+  if (signing !== null) {
+    signingConfig = resolveSigning(signing, alphabetChars);
+  }
+
+  if (
+    blocklist !== null &&
+    (!Array.isArray(blocklist) ||
+      !blocklist.every((word) => typeof word === "string" && word.length > 0))
+  ) {
+    throw new Error("Blocklist must be an array of non-empty strings or null");
+  }
+
+  if (checkAlgorithm === "damm") {
+    dammCheckBit("", alphabetChars); // Throws if no table exists for the alphabet size
+  }
+
+  const config = {
+    prefix,
+    segmentLength,
+    numSegments,
+    segmentLengths,
+    includeDate,
+    useTwoDigitYear,
+    useTimestamp,
+    useLocalTime,
+    timeZone,
+    timestampPrecision,
+    timestampSeparator:
+      timestampSeparator === undefined
+        ? delimiter === null
+          ? ""
+          : delimiter
+        : timestampSeparator ?? "",
+    timestampEncoding,
+    delimiter,
+    lowercase,
+    postfix,
+    includeCheckBit,
+    checkAlgorithm,
+    alphabet: alphabetChars,
+    monotonic,
+    workerId,
+    workerIdLength,
+    counterLength,
+    onCounterExhausted,
+    now,
+    random,
+    entropySource,
+    signing: signingConfig,
+    blocklist:
+      blocklist === null || blocklist.length === 0
+        ? null
+        : createBlocklistMatcher(blocklist),
+    format,
+    timeLength: Math.ceil(
+      MONOTONIC_TIME_BITS / Math.log2(alphabetChars.length)
+    ),
+    delimiterChar: delimiter === null ? "" : delimiter,
+  };
+  config.template =
+    format === null
+      ? buildLayoutTemplate(config)
+      : compileFormat(format, config);
+
+  if (workerId !== null) {
+    const tickDuration = getTickDuration(config.template);
+    if (tickDuration === Infinity) {
+      throw new Error(
+        "A workerId requires a date or timestamp in the ID, the counter restarts at every tick of it"
+      );
+    }
+    if (onCounterExhausted === "wait" && tickDuration > MAX_COUNTER_WAIT) {
+      throw new Error(
+        'onCounterExhausted: "wait" requires a time in seconds or milliseconds in the ID, it blocks for up to one tick of it'
+      );
+    }
+  }
+
+  if (config.blocklist && getEntropyBits(config) === 0) {
+    throw new Error(
+      "The blocklist rejects nearly all random segments, use longer segments or a shorter blocklist"
+    );
+  }
+
+  if (minEntropyBits !== null) {
+    if (typeof minEntropyBits !== "number" || !(minEntropyBits >= 0)) {
+      throw new Error(
+        "Minimum entropy bits must be a non-negative number or null"
+      );
+    }
+    // Without the blocklist, which would push lengths that exactly reach the
+    // minimum, such as 10 hex characters for 40 bits, a fraction of a bit below
+    const entropyBits = getEntropyBits({ ...config, blocklist: null });
+    if (entropyBits < minEntropyBits) {
+      // Enough decimals to show the entropy below the minimum
+      let digits = 1;
+      while (
+        digits < 6 &&
+        Number(entropyBits.toFixed(digits)) >= minEntropyBits
+      ) {
+        digits++;
+      }
+      throw new Error(
+        `The random segments have ${entropyBits.toFixed(
+          digits
+        )} bits of entropy, below the minimum of ${minEntropyBits}; use longer or more segments, a larger alphabet or a lower minEntropyBits`
+      );
+    }
+  }
+  return config;
+}
+
+/**
+ * Generates a custom unique identifier with a low probability of collision.
+ *
+ * ID Format: PREFIX-YYYYMMDD-XXXXXXXXXXXX-CHECKBIT, PREFIX-TIMESTAMP-XXXXXXXXXXXX-CHECKBIT or PREFIX-XXXXXXXXXXXX-CHECKBIT
+ * Example:   CA-20250207-7KXG1L89Q2MZ-5, CA-20250207-123456-7KXG1L89Q2MZ-5 or CA-7KXG1L89Q2MZ-5
+ *
+ * The random segments must carry at least minEntropyBits bits of entropy
+ * (default: 39, about 8 base-36 characters), e.g. one segment of 8 or more
+ * characters, 2 segments of 4 or XXXX-XXXX-XXXX-XXXX-XXXX.
+ *
+ * @param {Object} [options={}] - Configuration options
+ * @param {string|null} [options.prefix="ID"] - Optional prefix (default: "ID"), use null to exclude prefix
+ * @param {number|number[]} [options.segmentLength=12] - Length of each random segment, or an array with the length of every segment (default: 12)
+ * @param {number} [options.numSegments=1] - Number of random segments (default: 1, or the length of a segmentLength array)
+ * @param {boolean} [options.includeDate=true] - Whether to include the date segment (default: true)
+ * @param {boolean} [options.useTwoDigitYear=false] - Whether to use a 2-digit year instead of a 4-digit year (default: false)
+ * @param {boolean} [options.useTimestamp=false] - Whether to use a full timestamp instead of just the date value (default: false)
+ * @param {boolean} [options.useLocalTime=false] - Whether to use local system time instead of UTC (default: false)
+ * @param {string|null} [options.timeZone=null] - IANA time zone of the date and timestamp, e.g. "Pacific/Honolulu", instead of UTC (default: null)
+ * @param {string} [options.timestampPrecision="seconds"] - Precision of the timestamp: "minutes", "seconds" or "milliseconds" (default: "seconds")
+ * @param {string|null} [options.timestampSeparator] - Separator between the date and the time of the timestamp, e.g. "T" (default: the delimiter)
+ * @param {string} [options.timestampEncoding="date"] - "date" for a date and time, or "base36" for a compact base-36 epoch time in the timestamp precision (default: "date")
+ * @param {string|null} [options.delimiter="-"] - Delimiter to use between segments (default: "-"), use null for no delimiter
+ * @param {boolean} [options.lowercase=false] - Whether to use lowercase for the random segment (default: false)
+ * @param {string|null} [options.postfix=null] - Optional postfix (default: null), use null to exclude postfix
+ * @param {boolean} [options.includeCheckBit=false] - Whether to include a check bit at the end (default: false)
+ * @param {string|Function} [options.checkAlgorithm="legacy"] - Check bit algorithm: "legacy", "iso7064", "luhn", "damm" or a function returning the check bit (default: "legacy")
+ * @param {string} [options.alphabet="base36"] - Alphabet of the random segments and check bit: "base36", "crockford", "hex", "numeric", "unambiguous" or a string of unique characters (default: "base36")
+ * @param {boolean} [options.monotonic=false] - Whether to replace the date with a sortable millisecond time and increment the random segments within the same millisecond (default: false)
+ * @param {number|null} [options.workerId=null] - ID of the worker generating the IDs, encoded in the alphabet and followed by a counter that restarts at every tick of the date or timestamp, so workers with distinct IDs never collide (default: null)
+ * @param {number} [options.workerIdLength=2] - Number of characters of the worker ID (default: 2)
+ * @param {number} [options.counterLength=3] - Number of characters of the counter (default: 3)
+ * @param {string} [options.onCounterExhausted="throw"] - "throw" to throw an error or "wait" to block until the next tick when the counter runs out within a tick, which requires a time in seconds or milliseconds (default: "throw")
+ * @param {Function} [options.now=Date.now] - Clock returning the current time as a Date or epoch milliseconds (default: Date.now)
+ * @param {Function} [options.random] - Source of random bytes, called with a length and returning a Uint8Array (default: the platform's cryptographic random source)
+ * @param {Object|null} [options.entropySource=null] - Cryptographic random source with a getRandomValues(array) method, e.g. the Web Crypto object of a runtime, instead of the platform's default (default: null)
+ * @param {Object|null} [options.signing=null] - Appends a signature, a truncated HMAC-SHA256 of the rest of the ID: { key, length } or { keys, keyId, length } with keys by key ID and the key ID to sign with, which prefixes the signature; see verifySignedId (default: null)
+ * @param {string[]|null} [options.blocklist=defaultBlocklist] - Words rejected in the random segments, matched case-insensitively, with leetspeak substitutions except for matches made only of digits and across delimiters, use null to disable (default: defaultBlocklist)
+ * @param {number|null} [options.minEntropyBits=39] - Minimum entropy of the random segments in bits, throws if the configuration falls below it, use null for no minimum (default: 39, or null with a format or workerId)
+ * @param {string|null} [options.format=null] - Template such as "{prefix}-R{rand:4}-{date:YYMM}" describing the layout instead of the layout options, see compileFormat (default: null)
+ * @returns {Function} - A function that generates unique IDs with the preset configuration, with generateMany(count) and iterate(count) methods for batches
+ *
+ * @example
+ * const generateUserId = generateCustomId({ prefix: "U", useTimestamp: true, postfix: "POST", includeCheckBit: true });
+ * const newUserId = generateUserId();
+ */
+function generateCustomId(options = {}) {
+  const config = resolveOptions(options);
+  assertCanSign(config);
+  const {
+    lowercase,
+    prefix,
+    postfix,
+    alphabet,
+    now,
+    random,
+    entropySource,
+    timeLength,
+    template,
+    blocklist,
+    workerId,
+    onCounterExhausted,
+  } = config;
+
+  const getTime = () => {
+    const value = now();
+    const time = value instanceof Date ? value.getTime() : value;
+    if (typeof time !== "number" || !Number.isFinite(time)) {
+      throw new Error(
+        'The "now" option must return a valid Date or epoch milliseconds'
+      );
+    }
+    return time;
+  };
+
+  // The date fields only change between seconds unless the template shows
+  // milliseconds, so they are computed once per second instead of once per ID
+  const dateTokens = template.filter(
+    (token) => token.type === "date" || token.type === "time"
+  );
+  const needsTime =
+    dateTokens.length > 0 || template.some((token) => token.type === "epoch");
+  const fieldResolution = dateTokens.some((token) =>
+    token.parts.some((part) => part.field === "SSS")
+  )
+    ? 1
+    : 1000;
+  let lastFieldTick = null;
+  let lastFields = null;
+  const getDateFields = (time) => {
+    const tick = Math.floor(time / fieldResolution);
+    if (tick !== lastFieldTick) {
+      lastFieldTick = tick;
+      lastFields = toDateFields(new Date(time), config);
+    }
+    return lastFields;
+  };
+
+  // Draw from a pool of random bytes unless a custom byte source is given, so
+  // consecutive IDs share one call into the entropy source
+  const randomBytes =
+    entropySource !== null
+      ? createBytePool((length) => readEntropy(entropySource, length))
+      : random === getRandomBytes
+      ? createBytePool(getRandomBytes)
+      : random;
+  const randomAlphabet = lowercase ? alphabet.toLowerCase() : alphabet;
+  const randomLength = template.reduce(
+    (sum, token) => sum + (token.type === "rand" ? token.length : 0),
+    0
+  );
+  const randomTokens = template.filter((token) => token.type === "rand");
+  const randomLengths = randomTokens.map((token) => token.length);
+  const monotonic = template.some((token) => token.type === "monotonic");
+  let lastTime = -1;
+  let lastRandom = null;
+
+  // The counter restarts whenever the text of the date, time or epoch tokens
+  // changes, so it only has to be unique among IDs of the same worker and tick
+  const counterToken = template.find((token) => token.type === "counter");
+  const counterSize = counterToken ? alphabet.length ** counterToken.width : 0;
+  const tickDuration = getTickDuration(template);
+  let lastTick = null;
+  let counter = 0;
+
+  // Draws random segments of the given lengths until their delimiter-free
+  // form contains no blocked word
+  const drawRandomSegments = (lengths) => {
+    for (let attempt = 0; attempt < MAX_BLOCKLIST_ATTEMPTS; attempt++) {
+      const segments = lengths.map((length) =>
+        getRandomSegment(length, alphabet, lowercase, randomBytes)
+      );
+      if (!blocklist || !blocklist.find(segments.join(""))) {
+        return segments;
+      }
+    }
+    throw new Error(
+      `Could not generate random segments without blocked words after ${MAX_BLOCKLIST_ATTEMPTS} attempts`
+    );
+  };
+
+  // Increments the monotonic random part past any blocked word, by
+  // incrementing the characters up to the end of the word and resetting the
+  // rest to the first character of the alphabet
+  const incrementRandomPart = (value) => {
+    let next = incrementString(value, randomAlphabet);
+    let match;
+    while (next !== null && blocklist && (match = blocklist.find(next))) {
+      const head = incrementString(next.slice(0, match.end), randomAlphabet);
+      next =
+        head === null
+          ? null
+          : head + randomAlphabet[0].repeat(next.length - match.end);
+    }
+    return next;
+  };
+
+  const formatTimeToken = (token, time) =>
+    token.type === "epoch"
+      ? encodeEpochTime(time, token)
+      : formatDateParts(token.parts, getDateFields(time));
+  const timeTokens = template.filter((token) =>
+    ["date", "time", "epoch"].includes(token.type)
+  );
+  const getTick = (time) =>
+    timeTokens.map((token) => formatTimeToken(token, time)).join("");
+
+  // Returns the time of the next ID and advances the counter, reusing the
+  // last time if the clock went backwards so earlier ticks never restart
+  const nextCounterTime = () => {
+    let time = Math.max(getTime(), lastTime);
+    let tick = getTick(time);
+    if (tick === lastTick && counter === counterSize - 1) {
+      if (onCounterExhausted === "throw") {
+        throw new Error(
+          `The counter ran out of its ${counterSize} values within one tick, use a longer counterLength or onCounterExhausted: "wait"`
+        );
+      }
+      // Busy-wait, as generating is synchronous, but give up if the clock
+      // does not advance, e.g. a fixed clock given as the now option
+      const deadline = Date.now() + tickDuration + 1000;
+      while (tick === lastTick) {
+        if (Date.now() > deadline) {
+          throw new Error(
+            "The clock did not advance to the next tick while waiting for the counter"
+          );
+        }
+        time = Math.max(getTime(), lastTime);
+        tick = getTick(time);
+      }
+    }
+    counter = tick === lastTick ? counter + 1 : 0;
+    lastTick = tick;
+    lastTime = time;
+    return time;
+  };
+
+  function generateId() {
+    let time = null;
+    let randomPart = null;
+    if (counterToken) {
+      time = nextCounterTime();
+    } else if (monotonic) {
+      // Reuse the last time if the clock went backwards so IDs keep increasing
+      time = Math.max(getTime(), lastTime);
+      if (time === lastTime) {
+        randomPart = incrementRandomPart(lastRandom);
+        if (randomPart === null) {
+          throw new Error(
+            "Monotonic random component overflowed within the same millisecond"
+          );
+        }
+      } else {
+        randomPart = drawRandomSegments([randomLength])[0];
+      }
+      lastTime = time;
+      lastRandom = randomPart;
+    } else if (needsTime) {
+      time = getTime();
+    }
+
+    let randomSegments;
+    if (randomPart === null) {
+      randomSegments = drawRandomSegments(randomLengths);
+    } else {
+      let offset = 0;
+      randomSegments = randomTokens.map((token) => {
+        offset += token.length;
+        return randomPart.slice(offset - token.length, offset);
+      });
+    }
+
+    let randomIndex = 0;
+    const pieces = template.map((token) => {
+      switch (token.type) {
+        case "literal":
+          return token.value;
+        case "prefix":
+          return prefix;
+        case "postfix":
+          return postfix;
+        case "date":
+        case "time":
+        case "epoch":
+          return formatTimeToken(token, time);
+        case "monotonic":
+          return encodeNumber(time, alphabet, timeLength);
+        case "worker":
+          return encodeNumber(workerId, alphabet, token.width);
+        case "counter":
+          return encodeNumber(counter, alphabet, token.width);
+        case "rand":
+          return randomSegments[randomIndex++];
+        case "signature":
+        case "check":
+          return "";
+      }
+    });
+    return completePieces(pieces, config);
+  }
+
+  /**
+   * Generates the given number of IDs.
+   *
+   * @param {number} count - The number of IDs to generate.
+   * @returns {string[]} - The generated IDs, in order.
+   */
+  generateId.generateMany = function (count) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error("Count must be a non-negative integer");
+    }
+    const ids = new Array(count);
+    for (let i = 0; i < count; i++) {
+      ids[i] = generateId();
+    }
+    return ids;
+  };
+
+  /**
+   * Returns an iterator that lazily generates IDs.
+   *
+   * @param {number} [count=Infinity] - The number of IDs to generate, unlimited by default.
+   * @returns {Iterator<string>} - An iterator over the generated IDs.
+   */
+  generateId.iterate = function (count = Infinity) {
+    if (count !== Infinity && (!Number.isInteger(count) || count < 0)) {
+      throw new Error("Count must be a non-negative integer");
+    }
+    return (function* () {
+      for (let i = 0; i < count; i++) {
+        yield generateId();
+      }
+    })();
+  };
+
+  return generateId;
+}
+
+/**
+ * Returns the keyspace and the number of periods the IDs generated over the
+ * given window are spread over, see estimateCollisionProbability.
+ *
+ * @param {Object} options - The configuration options passed to generateCustomId.
+ * @param {number} [window] - The window in milliseconds, one period by default.
+ * @returns {Object} - The keyspace, the number of periods and whether the layout includes a worker ID.
+ */
+function getCollisionSpace(options, window) {
+  if (window !== undefined && !(typeof window === "number" && window > 0)) {
+    throw new Error("Window must be a positive number of milliseconds");
+  }
+  const config = resolveOptions(options);
+  const { template } = config;
+  const period = template.some((token) => token.type === "monotonic")
+    ? 1
+    : getTickDuration(template);
+  return {
+    keyspace: 2 ** getEntropyBits(config),
+    periods:
+      window === undefined || period === Infinity
+        ? 1
+        : Math.max(1, window / period),
+    worker: template.some((token) => token.type === "worker"),
+  };
+}
+
+/**
+ * Estimates the probability of at least one collision among the given number
+ * of IDs, using the birthday bound P = 1 - exp(-N(N - 1) / 2M) where M is the
+ * number of possible random segments.
+ *
+ * IDs with a date, time or monotonic time component can only collide with IDs
+ * generated in the same period: the finest field of the date or time, such as
+ * a day for YYYYMMDD or a second for a timestamp, and a millisecond for
+ * monotonic IDs. Without a window the count is the number of IDs generated in
+ * one period; with a window in milliseconds the count is spread evenly over
+ * the periods of the window. Without a date or time the period never ends and
+ * the window is ignored.
+ *
+ * IDs with a worker ID and counter are unique by construction as long as every
+ * generator has its own worker ID, so the estimate is 0.
+ *
+ * @param {Object} options - The configuration options passed to generateCustomId.
+ * @param {number} count - The number of IDs generated per period, or over the window.
+ * @param {Object} [settings={}] - Estimate settings.
+ * @param {number} [settings.window] - The time in milliseconds over which the IDs are generated, one period by default.
+ * @returns {number} - The probability of at least one collision, between 0 and 1.
+ *
+ * @example
+ * estimateCollisionProbability({ includeDate: false }, 1_000_000); // ~1.06e-7
+ * estimateCollisionProbability({ segmentLength: 8 }, 1_000_000, {
+ *   window: 30 * 86_400_000,
+ * }); // ~5.9e-3, 1,000,000 IDs over 30 days
+ */
+function estimateCollisionProbability(options, count, { window } = {}) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error("Count must be a non-negative integer");
+  }
+  const { keyspace, periods, worker } = getCollisionSpace(options, window);
+  if (worker) {
+    return 0;
+  }
+  const perPeriod = count / periods;
+  const pairs = periods * Math.max(0, perPeriod * (perPeriod - 1));
+  return -Math.expm1(-pairs / (2 * keyspace));
+}
+
+/**
+ * Returns the largest number of IDs that can be generated per period, or over
+ * the window, while keeping the probability of a collision at or below the
+ * target, see estimateCollisionProbability. Layouts with a worker ID have no
+ * limit and return Infinity.
+ *
+ * @param {Object} options - The configuration options passed to generateCustomId.
+ * @param {number} targetProbability - The acceptable probability of a collision, between 0 and 1.
+ * @param {Object} [settings={}] - Estimate settings.
+ * @param {number} [settings.window] - The time in milliseconds over which the IDs are generated, one period by default.
+ * @returns {number} - The number of IDs per period, or over the window.
+ *
+ * @example
+ * capacityFor({ segmentLength: 8 }, 1e-6); // 2371 IDs per day
+ * capacityFor({ segmentLength: 8 }, 1e-6, { window: 7 * 86_400_000 }); // 6276 IDs per week
+ */
+function capacityFor(options, targetProbability, { window } = {}) {
+  if (
+    typeof targetProbability !== "number" ||
+    !(targetProbability > 0 && targetProbability < 1)
+  ) {
+    throw new Error("Target probability must be between 0 and 1");
+  }
+  const { keyspace, periods, worker } = getCollisionSpace(options, window);
+  if (worker) {
+    return Infinity;
+  }
+  // Solve periods * n(n - 1) / 2M = -ln(1 - P) for the total N = periods * n
+  const pairs = (-2 * keyspace * Math.log1p(-targetProbability)) / periods;
+  return Math.max(
+    1,
+    Math.floor((periods * (1 + Math.sqrt(1 + 4 * pairs))) / 2)
+  );
+}
+
+/**
+ * Validates the check bit of the given ID string.
+ *
+ * When the options include a delimiter it is used to locate the check bit,
+ * otherwise the delimiter is detected from the ID.
+ *
+ * @param {string} id - The ID string to validate.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @param {string|null} [options.delimiter] - The delimiter preceding the check bit.
+ * @param {string|Function} [options.checkAlgorithm="legacy"] - The check bit algorithm the ID was generated with.
+ * @param {string} [options.alphabet="base36"] - The alphabet the ID was generated with.
+ * @returns {boolean} - True if the check bit is valid, false otherwise.
+ */
+function validateCheckBit(id, options = {}) {
+  const { checkAlgorithm = "legacy", alphabet = "base36" } = options;
+  const validDelimiters = ["-", "_", "|", ".", "#", ""];
+  let detectedDelimiter = "";
+
+  if (options.delimiter !== undefined) {
+    detectedDelimiter = options.delimiter === null ? "" : options.delimiter;
+  } else {
+    for (const delimiter of validDelimiters) {
+      if (delimiter === "" || id.includes(delimiter)) {
+        detectedDelimiter = delimiter;
+        break;
+      }
+    }
+  }
+
+  const parts = detectedDelimiter
+    ? id.split(detectedDelimiter)
+    : [id.slice(0, -1), id.slice(-1)];
+  const checkBit = parts.pop(); // Remove the check bit
+  const idWithoutCheckBit = parts.join(detectedDelimiter);
+  const calculatedCheckBit = calculateCheckBit(
+    idWithoutCheckBit,
+    checkAlgorithm,
+    resolveAlphabet(alphabet, false)
+  );
+  return checkBit === calculatedCheckBit;
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toCharacterClass(chars) {
+  const escape = (char) => char.replace(/[\]\\^-]/g, "\\$&");
+  const codes = [...chars]
+    .map((char) => char.codePointAt(0))
+    .sort((a, b) => a - b);
+  let source = "";
+  // Collapse runs of three or more consecutive characters into ranges
+  for (let start = 0, end = 0; start < codes.length; start = end + 1) {
+    end = start;
+    while (end + 1 < codes.length && codes[end + 1] === codes[end] + 1) {
+      end++;
+    }
+    source +=
+      end - start >= 2
+        ? `${escape(String.fromCodePoint(codes[start]))}-${escape(
+            String.fromCodePoint(codes[end])
+          )}`
+        : codes
+            .slice(start, end + 1)
+            .map((code) => escape(String.fromCodePoint(code)))
+            .join("");
+  }
+  return `[${source}]`;
+}
+
+/**
+ * Parses the date and time components of an ID into a Date.
+ *
+ * Fields missing from the patterns default to 1970-01-01 00:00:00.000.
+ *
+ * @param {Object[]} components - The matched date and time tokens, as { parts, text, values }.
+ * @param {Object} config - The resolved configuration.
+ * @returns {Date} - The parsed date.
+ */
+function parseDateComponent(components, config) {
+  const fail = () => {
+    throw new Error(
+      `Invalid date component "${components
+        .map((component) => component.text)
+        .join(" ")}"`
+    );
+  };
+
+  const fields = {};
+  for (const { parts, values } of components) {
+    parts.forEach((part, i) => {
+      if (!part.field) {
+        return;
+      }
+      if (
+        fields[part.field] !== undefined &&
+        fields[part.field] !== values[i]
+      ) {
+        fail();
+      }
+      fields[part.field] = values[i];
+    });
+  }
+
+  const year =
+    fields.YYYY !== undefined
+      ? Number(fields.YYYY)
+      : fields.YY !== undefined
+      ? 2000 + Number(fields.YY)
+      : 1970;
+  const [month, day] = [fields.MM ?? "01", fields.DD ?? "01"].map(Number);
+  const [hours, minutes, seconds, milliseconds] = [
+    fields.HH,
+    fields.mm,
+    fields.ss,
+    fields.SSS,
+  ].map((value) => Number(value ?? 0));
+
+  let date;
+  if (config.useLocalTime) {
+    date = new Date(
+      year,
+      month - 1,
+      day,
+      hours,
+      minutes,
+      seconds,
+      milliseconds
+    );
+  } else {
+    const wallTime = Date.UTC(
+      year,
+      month - 1,
+      day,
+      hours,
+      minutes,
+      seconds,
+      milliseconds
+    );
+    date = new Date(wallTime);
+    if (config.timeZone) {
+      // Shift by the offset of the time zone, twice so the offset is the one
+      // in effect at the resulting time rather than at the wall-clock time
+      for (let i = 0; i < 2; i++) {
+        const fields = toDateFields(date, config);
+        const offset =
+          Date.UTC(
+            Number(fields.YYYY),
+            Number(fields.MM) - 1,
+            Number(fields.DD),
+            Number(fields.HH),
+            Number(fields.mm),
+            Number(fields.ss),
+            Number(fields.SSS)
+          ) - date.getTime();
+        date = new Date(wallTime - offset);
+      }
+    }
+  }
+
+  const expected = toDateFields(date, config);
+  if (Object.keys(fields).some((field) => fields[field] !== expected[field])) {
+    fail();
+  }
+  return date;
+}
+
+// Patterns of the date and time fields in exported regular expressions,
+// which reject out-of-range values but not dates such as February 30
+const dateFieldPatterns = {
+  YYYY: "[0-9]{4}",
+  YY: "[0-9]{2}",
+  MM: "(?:0[1-9]|1[0-2])",
+  DD: "(?:0[1-9]|[12][0-9]|3[01])",
+  HH: "(?:[01][0-9]|2[0-3])",
+  mm: "[0-5][0-9]",
+  ss: "[0-5][0-9]",
+  SSS: "[0-9]{3}",
+};
+
+/**
+ * Builds a regular expression that matches the given template.
+ *
+ * For parsing, every token and date field is a named group and the date
+ * fields match any digits, so invalid dates can be reported as such. Without
+ * groups the date fields are limited to their ranges.
+ *
+ * @param {Object[]} template - The compiled template.
+ * @param {Object} config - The resolved configuration.
+ * @param {Object} [options={}] - Regular expression options.
+ * @param {boolean} [options.groups=true] - Whether to add named groups for parsing.
+ * @returns {RegExp} - The regular expression.
+ */
+function templateToRegExp(template, config, { groups = true } = {}) {
+  const { prefix, postfix, alphabet, lowercase, timeLength } = config;
+  const checkClass = toCharacterClass(alphabet);
+  const randomClass = toCharacterClass(
+    lowercase ? alphabet.toLowerCase() : alphabet
+  );
+  const group = (name, source) => (groups ? `(?<${name}>${source})` : source);
+
+  const source = template
+    .map((token, i) => {
+      switch (token.type) {
+        case "literal":
+          return escapeRegExp(token.value);
+        case "prefix":
+          return group(`t${i}`, escapeRegExp(prefix));
+        case "postfix":
+          return group(`t${i}`, escapeRegExp(postfix));
+        case "date":
+        case "time":
+          return group(
+            `t${i}`,
+            token.parts
+              .map((part, j) =>
+                !part.field
+                  ? escapeRegExp(part.literal)
+                  : groups
+                  ? group(`t${i}f${j}`, `\\d{${datePatternFields[part.field]}}`)
+                  : dateFieldPatterns[part.field]
+              )
+              .join("")
+          );
+        case "monotonic":
+          return group(`t${i}`, `${checkClass}{${timeLength}}`);
+        case "worker":
+        case "counter":
+        case "signature":
+          return group(`t${i}`, `${checkClass}{${token.width}}`);
+        case "epoch":
+          return group(
+            `t${i}`,
+            `${toCharacterClass(alphabets.base36)}{${token.width}}`
+          );
+        case "rand":
+          return group(`t${i}`, `${randomClass}{${token.length}}`);
+        case "check":
+          return `${escapeRegExp(token.separator)}${group(
+            `t${i}`,
+            checkClass
+          )}`;
+      }
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns the length of the IDs generated from a template.
+ *
+ * @param {Object[]} template - The compiled template.
+ * @param {Object} config - The resolved configuration.
+ * @returns {number} - The length of every ID.
+ */
+function getTemplateLength(template, { prefix, postfix, timeLength }) {
+  const lengths = {
+    literal: (token) => token.value.length,
+    prefix: () => prefix.length,
+    postfix: () => postfix.length,
+    date: (token) =>
+      token.parts.reduce(
+        (sum, part) =>
+          sum +
+          (part.field ? datePatternFields[part.field] : part.literal.length),
+        0
+      ),
+    monotonic: () => timeLength,
+    epoch: (token) => token.width,
+    worker: (token) => token.width,
+    counter: (token) => token.width,
+    signature: (token) => token.width,
+    rand: (token) => token.length,
+    check: (token) => token.separator.length + 1,
+  };
+  lengths.time = lengths.date;
+  return template.reduce((sum, token) => sum + lengths[token.type](token), 0);
+}
+
+/**
+ * Returns the characters allowed at every position of the IDs generated from
+ * a template, which all have the same length.
+ *
+ * @param {Object[]} template - The compiled template.
+ * @param {Object} config - The resolved configuration.
+ * @returns {string[]} - The allowed characters per position.
+ */
+function getTemplatePositions(template, config) {
+  const { prefix, postfix, alphabet, lowercase, timeLength } = config;
+  const randomAlphabet = lowercase ? alphabet.toLowerCase() : alphabet;
+  const digits = alphabets.numeric;
+  const positions = [];
+  const push = (chars, count = 1) => {
+    for (let i = 0; i < count; i++) {
+      positions.push(chars);
+    }
+  };
+
+  for (const token of template) {
+    switch (token.type) {
+      case "literal":
+        [...token.value].forEach((char) => push(char));
+        break;
+      case "prefix":
+        [...prefix].forEach((char) => push(char));
+        break;
+      case "postfix":
+        [...postfix].forEach((char) => push(char));
+        break;
+      case "date":
+      case "time":
+        for (const part of token.parts) {
+          if (part.field) {
+            push(digits, datePatternFields[part.field]);
+          } else {
+            [...part.literal].forEach((char) => push(char));
+          }
+        }
+        break;
+      case "monotonic":
+        push(alphabet, timeLength);
+        break;
+      case "epoch":
+        push(alphabets.base36, token.width);
+        break;
+      case "worker":
+      case "counter":
+      case "signature":
+        push(alphabet, token.width);
+        break;
+      case "rand":
+        push(randomAlphabet, token.length);
+        break;
+      case "check":
+        [...token.separator].forEach((char) => push(char));
+        push(alphabet);
+        break;
+    }
+  }
+  return positions;
+}
+
+/**
+ * Checks whether some string matches both lists of allowed characters per
+ * position, see getTemplatePositions.
+ *
+ * @param {string[]} a - The allowed characters per position of one template.
+ * @param {string[]} b - The allowed characters per position of the other template.
+ * @returns {boolean} - True if a string can match both.
+ */
+function positionsOverlap(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((chars, i) => [...chars].some((char) => b[i].includes(char)))
+  );
+}
+
+/**
+ * Parses an ID back into its components using the options it was generated with.
+ *
+ * @param {string} id - The ID string to parse.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {Object} - The parsed components: prefix, date, time, segments, postfix and checkBit, plus workerId and counter with a workerId and keyId and signature with signing.
+ * @throws {Error} - If the ID does not match the configuration or its check bit is invalid.
+ *
+ * @example
+ * const options = { prefix: "U", useTimestamp: true, includeCheckBit: true };
+ * const { date, segments } = parseCustomId(generateCustomId(options)(), options);
+ */
+function parseCustomId(id, options = {}) {
+  if (typeof id !== "string") {
+    throw new Error("ID must be a string");
+  }
+
+  return parseWithConfig(id, resolveOptions(options));
+}
+
+/**
+ * Parses an ID with a resolved configuration, see parseCustomId.
+ *
+ * @param {string} id - The ID string to parse.
+ * @param {Object} config - The resolved configuration.
+ * @returns {Object} - The parsed components.
+ */
+function parseWithConfig(id, config) {
+  const { checkAlgorithm, alphabet, template } = config;
+
+  const match = templateToRegExp(template, config).exec(id);
+  if (!match) {
+    throw new Error(`ID "${id}" does not match the configured format`);
+  }
+  const groups = match.groups;
+
+  const result = {
+    prefix: null,
+    date: null,
+    time: null,
+    segments: [],
+    postfix: null,
+    checkBit: null,
+  };
+  const dateComponents = [];
+  let covered = "";
+  template.forEach((token, i) => {
+    const text = token.type === "literal" ? token.value : groups[`t${i}`];
+    if (token.type !== "check") {
+      covered += text;
+    }
+    switch (token.type) {
+      case "prefix":
+      case "postfix":
+        result[token.type] = text;
+        break;
+      case "date":
+      case "time":
+        if (token.type === "time") {
+          result.time = text;
+        }
+        dateComponents.push({
+          parts: token.parts,
+          text,
+          values: token.parts.map((part, j) => groups[`t${i}f${j}`]),
+        });
+        break;
+      case "monotonic":
+        result.time = text;
+        result.date = new Date(decodeNumber(text, alphabet));
+        break;
+      case "epoch":
+        result.time = text;
+        result.date = new Date(
+          decodeNumber(text, alphabets.base36) * token.unit
+        );
+        break;
+      case "worker":
+        result.workerId = decodeNumber(text, alphabet);
+        break;
+      case "counter":
+        result.counter = decodeNumber(text, alphabet);
+        break;
+      case "signature":
+        result.keyId = text.slice(0, config.signing.keyIdLength) || null;
+        result.signature = text.slice(config.signing.keyIdLength);
+        break;
+      case "rand":
+        result.segments.push(text);
+        break;
+      case "check":
+        result.checkBit = text;
+        break;
+    }
+  });
+
+  if (
+    result.checkBit !== null &&
+    calculateCheckBit(covered, checkAlgorithm, alphabet) !== result.checkBit
+  ) {
+    throw new Error(`ID "${id}" has an invalid check bit`);
+  }
+  if (dateComponents.length > 0) {
+    result.date = parseDateComponent(dateComponents, config);
+  }
+  return result;
+}
+
+const timeTokenTypes = ["date", "time", "epoch", "monotonic"];
+
+/**
+ * Returns when an ID was created, from its date, timestamp, epoch or
+ * monotonic time, read in the time zone it was generated in.
+ *
+ * Wall times that occur twice when the clocks fall back, e.g. 01:30 on the
+ * first Sunday of November in America/New_York, are read as their first
+ * occurrence, so IDs created in the repeated hour are returned an hour early.
+ * Use UTC, the default, or an epoch or monotonic time for exact times.
+ *
+ * @param {string} id - The ID string.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {Date} - The creation time, at the precision of the ID, e.g. midnight of the date without a timestamp.
+ * @throws {Error} - If the options contain no date or time, or the ID does not match them.
+ *
+ * @example
+ * getIdTimestamp("ID-20250207-7KXG1L89Q2MZ"); // 2025-02-07T00:00:00.000Z
+ */
+function getIdTimestamp(id, options = {}) {
+  const config = resolveOptions(options);
+  if (!config.template.some((token) => timeTokenTypes.includes(token.type))) {
+    throw new Error("IDs of these options contain no date or time");
+  }
+  if (typeof id !== "string") {
+    throw new Error("ID must be a string");
+  }
+  return parseWithConfig(id, config).date;
+}
+
+// Order of the date fields from the most significant one
+const dateFieldRanks = {
+  YYYY: 0,
+  YY: 0,
+  MM: 1,
+  DD: 2,
+  HH: 3,
+  mm: 4,
+  ss: 5,
+  SSS: 6,
+};
+
+/**
+ * Returns the leading tokens of a template up to its last time token, if
+ * their text sorts in the order of time: only fixed text before the time, and
+ * the date fields from the year down.
+ *
+ * @param {Object[]} template - The compiled template.
+ * @returns {Object[]} - The leading tokens.
+ * @throws {Error} - If the IDs do not start with a sortable time.
+ */
+function getSortableHead(template) {
+  let end = 0;
+  for (const [i, token] of template.entries()) {
+    if (timeTokenTypes.includes(token.type)) {
+      end = i + 1;
+    } else if (token.type !== "literal" && token.type !== "prefix") {
+      break;
+    }
+  }
+  const head = template.slice(0, end);
+  const timeTokens = head.filter((token) =>
+    timeTokenTypes.includes(token.type)
+  );
+  const ranks = timeTokens.flatMap((token) =>
+    token.parts
+      ? token.parts
+          .filter((part) => part.field)
+          .map((part) => dateFieldRanks[part.field])
+      : []
+  );
+  const sortable =
+    timeTokens.length === 1 && !timeTokens[0].parts
+      ? true
+      : timeTokens.length > 0 && ranks.every((rank, i) => rank === i);
+  if (!sortable) {
+    throw new Error(
+      "Range bounds require IDs that start with their date or time, after only the prefix and fixed text, with the date fields from the year down"
+    );
+  }
+  return head;
+}
+
+/**
+ * Converts a Date or epoch milliseconds to epoch milliseconds.
+ *
+ * @param {Date|number} value - The time.
+ * @param {string} name - The name of the value, used in error messages.
+ * @returns {number} - The epoch milliseconds.
+ */
+function toEpochTime(value, name) {
+  const time = value instanceof Date ? value.getTime() : value;
+  if (typeof time !== "number" || !Number.isFinite(time)) {
+    throw new Error(`${name} must be a valid Date or epoch milliseconds`);
+  }
+  return time;
+}
+
+/**
+ * Returns string bounds of the IDs created from the start to the end date, for
+ * range scans over tables keyed by ID: every such ID is at least lower and
+ * below upper in plain (code point) string order, so a query can use
+ * `id >= lower AND id < upper`.
+ *
+ * The bounds have the precision of the ID, e.g. without a timestamp they
+ * cover the whole days of the start and end. The IDs must start with their
+ * date or time, as in the default layout.
+ *
+ * @param {Date|number} start - The earliest creation time, a Date or epoch milliseconds.
+ * @param {Date|number} end - The latest creation time, a Date or epoch milliseconds.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {{lower: string, upper: string}} - The inclusive lower and exclusive upper bound.
+ * @throws {Error} - If the options do not sort IDs by time, or the dates are invalid or cannot be encoded.
+ *
+ * @example
+ * idRangeForDates(new Date("2025-02-07"), new Date("2025-02-07"));
+ * // { lower: "ID-20250207", upper: "ID-20250208" }
+ */
+function idRangeForDates(start, end, options = {}) {
+  const config = resolveOptions(options);
+  const head = getSortableHead(config.template);
+  const startTime = toEpochTime(start, "Start");
+  const endTime = toEpochTime(end, "End");
+  if (startTime > endTime) {
+    throw new Error("Start must not be after end");
+  }
+
+  const formatHead = (time) => {
+    const fields = toDateFields(new Date(time), config);
+    return head
+      .map((token) => {
+        switch (token.type) {
+          case "literal":
+            return token.value;
+          case "prefix":
+            return config.prefix;
+          case "date":
+          case "time":
+            if (
+              token.parts.some((part) => part.field === "YY") &&
+              !fields.YYYY.startsWith("20")
+            ) {
+              throw new Error(
+                "Two-digit years only sort the IDs from 2000 to 2099"
+              );
+            }
+            return formatDateParts(token.parts, fields);
+          case "epoch":
+            return encodeEpochTime(time, token);
+          case "monotonic":
+            return encodeEpochTime(time, {
+              unit: 1,
+              width: config.timeLength,
+              alphabet: config.alphabet,
+            });
+        }
+      })
+      .join("");
+  };
+
+  // The text of the end is a prefix of the IDs of its tick, so raising its
+  // last character bounds them and nothing later
+  const last = formatHead(endTime);
+  return {
+    lower: formatHead(startTime),
+    upper:
+      last.slice(0, -1) +
+      String.fromCodePoint(last.codePointAt(last.length - 1) + 1),
+  };
+}
+
+/**
+ * Checks whether an ID matches the full structure of the given options: the
+ * prefix, date validity, segment lengths, alphabet, case, postfix and check
+ * bit.
+ *
+ * @param {string} id - The ID string to validate.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {boolean} - True if the ID could have been generated with the options, false otherwise.
+ * @throws {Error} - If the options are invalid.
+ *
+ * @example
+ * isValidCustomId("ID-20250207-7KXG1L89Q2MZ"); // true
+ */
+function isValidCustomId(id, options = {}) {
+  const config = resolveOptions(options);
+  if (typeof id !== "string") {
+    return false;
+  }
+  try {
+    parseWithConfig(id, config);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether an ID is valid for the given options and carries the
+ * signature of one of their signing keys. The signature is compared in
+ * constant time.
+ *
+ * With keys, the key ID in the signature selects the key, so IDs signed with
+ * an earlier key keep verifying as long as its key ID stays in the keys.
+ *
+ * @param {string} id - The ID string to verify.
+ * @param {Object} options - The configuration options passed to generateCustomId, with the signing option.
+ * @returns {boolean} - True if the ID is valid and its signature matches, false otherwise.
+ * @throws {Error} - If the options are invalid or have no signing option.
+ *
+ * @example
+ * const options = { signing: { keys: { A: oldKey, B: newKey }, keyId: "B" } };
+ * verifySignedId(generateCustomId(options)(), options); // true
+ */
+function verifySignedId(id, options) {
+  const config = resolveOptions(options);
+  if (config.signing === null) {
+    throw new Error("verifySignedId requires the signing option");
+  }
+  if (typeof id !== "string") {
+    return false;
+  }
+  return verifyWithConfig(id, config);
+}
+
+/**
+ * Verifies a signed ID with a resolved configuration, see verifySignedId.
+ *
+ * @param {string} id - The ID string to verify.
+ * @param {Object} config - The resolved configuration, with signing.
+ * @returns {boolean} - True if the ID is valid and its signature matches, false otherwise.
+ */
+function verifyWithConfig(id, config) {
+  const { template, signing, alphabet } = config;
+  let parsed;
+  try {
+    parsed = parseWithConfig(id, config);
+  } catch (error) {
+    return false;
+  }
+  const key = signing.keys.get(parsed.keyId ?? "");
+  if (key === undefined) {
+    return false;
+  }
+  const { groups } = templateToRegExp(template, config).exec(id);
+  const signed = template
+    .map((token, i) => {
+      switch (token.type) {
+        case "literal":
+          return token.value;
+        case "signature":
+        case "check":
+          return "";
+        default:
+          return groups[`t${i}`];
+      }
+    })
+    .join("");
+  return timingSafeEqual(
+    computeSignature(key, signed, alphabet, signing.length),
+    parsed.signature
+  );
+}
+
+// Characters Crockford Base32 reads as digits when decoding
+const crockfordAliases = { O: "0", I: "1", L: "1" };
+
+// Groups of characters that are easily confused when read or heard, whose
+// substitutions are suggested first
+const confusableGroups = ["0O", "1IL", "2Z", "5S", "8B"];
+
+/**
+ * Returns the character allowed at a position that an entered character
+ * stands for, by case and, with the Crockford alphabet, its aliases.
+ *
+ * @param {string} char - The entered character.
+ * @param {string} chars - The characters allowed at the position.
+ * @param {boolean} crockford - Whether the alphabet is Crockford Base32.
+ * @returns {string} - The allowed character, or the entered one if none matches.
+ */
+function normalizeChar(char, chars, crockford) {
+  const alias = crockford ? crockfordAliases[char.toUpperCase()] : undefined;
+  for (const candidate of [
+    char,
+    char.toUpperCase(),
+    char.toLowerCase(),
+    alias,
+  ]) {
+    if (candidate !== undefined && chars.includes(candidate)) {
+      return candidate;
+    }
+  }
+  return char;
+}
+
+/**
+ * Normalizes an entered ID with a resolved configuration, see
+ * normalizeCustomId.
+ *
+ * @param {string} input - The entered ID.
+ * @param {Object} config - The resolved configuration.
+ * @returns {string} - The normalized ID.
+ */
+function normalizeWithConfig(input, config) {
+  const positions = getTemplatePositions(config.template, config);
+  // Delimiters are dropped and restored from the template, unless the
+  // alphabet uses them as characters
+  const isSeparator = (char) =>
+    /\s/.test(char) ||
+    (validDelimiters.includes(char) &&
+      !positions.some((chars) => chars.length > 1 && chars.includes(char)));
+  const entered = [...input].filter((char) => !isSeparator(char));
+  const expected = positions.filter(
+    (chars) => chars.length > 1 || !isSeparator(chars)
+  ).length;
+  if (entered.length !== expected) {
+    throw new Error(
+      `ID "${input}" has ${entered.length} characters besides whitespace and delimiters, these options expect ${expected}`
+    );
+  }
+  const crockford = config.alphabet === alphabets.crockford;
+  let next = 0;
+  return positions
+    .map((chars) =>
+      chars.length === 1 && isSeparator(chars)
+        ? chars
+        : normalizeChar(entered[next++], chars, crockford)
+    )
+    .join("");
+}
+
+/**
+ * Normalizes a human-entered ID to the form generated with the given options:
+ * removes whitespace, puts the configured delimiters in place of missing or
+ * other ones, and corrects the case of every character, honoring lowercase.
+ * With the Crockford alphabet O is read as 0 and I and L as 1.
+ *
+ * The result is not validated, use isValidCustomId or suggestCorrections.
+ *
+ * @param {string} input - The entered ID.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {string} - The normalized ID.
+ * @throws {Error} - If the options are invalid, or the input has more or fewer characters than the IDs of the options besides whitespace and delimiters.
+ *
+ * @example
+ * normalizeCustomId(" id 20250207 7kxg1l89q2mz "); // "ID-20250207-7KXG1L89Q2MZ"
+ */
+function normalizeCustomId(input, options = {}) {
+  const config = resolveOptions(options);
+  if (typeof input !== "string") {
+    throw new Error("ID must be a string");
+  }
+  return normalizeWithConfig(input, config);
+}
+
+/**
+ * Suggests corrections of a human-entered ID whose check bit does not match:
+ * the IDs that differ from the normalized input by a single substitution or a
+ * transposition of adjacent characters and are valid for the options.
+ *
+ * Substitutions of easily confused characters, such as O and 0 or I and 1,
+ * come first, then transpositions, then other substitutions. One check bit
+ * detects a single error but cannot locate it, so about one in alphabet-size
+ * candidates passes and long IDs get several suggestions to choose from.
+ *
+ * @param {string} input - The entered ID.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId, with a check bit.
+ * @returns {string[]} - The suggested IDs, only the normalized input if it is valid, or an empty array if none is found.
+ * @throws {Error} - If the options are invalid or have no check bit.
+ *
+ * @example
+ * const options = { includeCheckBit: true, checkAlgorithm: "iso7064" };
+ * suggestCorrections("ID-2025O207-7KXG1L89Q2MZ-O", options); // ["ID-20250207-7KXG1L89Q2MZ-O"]
+ */
+function suggestCorrections(input, options = {}) {
+  const config = resolveOptions(options);
+  if (!config.template.some((token) => token.type === "check")) {
+    throw new Error(
+      "suggestCorrections requires a check bit, use includeCheckBit or a format with {check}"
+    );
+  }
+  if (typeof input !== "string") {
+    throw new Error("ID must be a string");
+  }
+  let normalized;
+  try {
+    normalized = normalizeWithConfig(input, config);
+  } catch (error) {
+    return [];
+  }
+  const isValid = (id) => {
+    try {
+      parseWithConfig(id, config);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  if (isValid(normalized)) {
+    return [normalized];
+  }
+
+  const positions = getTemplatePositions(config.template, config);
+  const chars = [...normalized];
+  const confusable = (a, b) =>
+    confusableGroups.some(
+      (group) =>
+        group.includes(a.toUpperCase()) && group.includes(b.toUpperCase())
+    );
+  const candidates = [];
+  positions.forEach((allowed, i) => {
+    if (allowed.length === 1) {
+      return;
+    }
+    for (const char of allowed) {
+      if (char !== chars[i]) {
+        const changed = [...chars];
+        changed[i] = char;
+        candidates.push({
+          id: changed.join(""),
+          rank: confusable(char, chars[i]) ? 0 : 2,
+        });
+      }
+    }
+    const after = positions[i + 1];
+    if (
+      after?.length > 1 &&
+      chars[i] !== chars[i + 1] &&
+      allowed.includes(chars[i + 1]) &&
+      after.includes(chars[i])
+    ) {
+      const swapped = [...chars];
+      [swapped[i], swapped[i + 1]] = [chars[i + 1], chars[i]];
+      candidates.push({ id: swapped.join(""), rank: 1 });
+    }
+  });
+  return candidates
+    .filter(({ id }) => isValid(id))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ id }) => id);
+}
+
+/**
+ * Returns a regular expression matching the IDs generated with the given
+ * options. It checks the structure, alphabet and case of an ID and the ranges
+ * of the date fields, but not whole dates such as February 30 or the check
+ * bit, use isValidCustomId for those.
+ *
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {RegExp} - The regular expression, anchored at both ends.
+ *
+ * @example
+ * toRegExp({ includeDate: false }).source; // "^ID-[0-9A-Z]{12}$"
+ */
+function toRegExp(options = {}) {
+  const config = resolveOptions(options);
+  return templateToRegExp(config.template, config, { groups: false });
+}
+
+/**
+ * Returns a JSON Schema for the IDs generated with the given options, for
+ * request validation and OpenAPI specifications. The pattern is the source of
+ * toRegExp.
+ *
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {Object} - The JSON Schema with type, pattern, minLength and maxLength.
+ */
+function toJsonSchema(options = {}) {
+  const config = resolveOptions(options);
+  const length = getTemplateLength(config.template, config);
+  return {
+    type: "string",
+    pattern: templateToRegExp(config.template, config, { groups: false })
+      .source,
+    minLength: length,
+    maxLength: length,
+  };
+}
+
+// Part of the range of the random segments left unused by encodeId, so an ID
+// decoded with the wrong secret falls outside the encodable values
+const ENCODE_VERIFICATION_BITS = 24;
+
+// Rounds of the Feistel network, as in the FF1 format-preserving encryption
+const FEISTEL_ROUNDS = 10;
+
+// How often encodeId re-encrypts a value whose random segments contain a
+// blocked word
+const MAX_ENCODE_TWEAKS = 16;
+
+/**
+ * Returns the parameters for encoding integers in the random segments of a
+ * configuration, which must not contain a date, time or worker ID.
+ *
+ * @param {Object} config - The resolved configuration.
+ * @returns {Object} - The radix, the lengths of the Feistel halves and the number of encodable values.
+ */
+function getIntegerCodec(config) {
+  const { template, alphabet } = config;
+  if (
+    template.some((token) =>
+      ["date", "time", "epoch", "monotonic", "worker", "counter"].includes(
+        token.type
+      )
+    )
+  ) {
+    throw new Error(
+      "Encoded IDs cannot contain a date, time or worker ID, use includeDate: false or a format without them"
+    );
+  }
+  const length = template.reduce(
+    (sum, token) => sum + (token.type === "rand" ? token.length : 0),
+    0
+  );
+  const radix = BigInt(alphabet.length);
+  const capacity =
+    (radix ** BigInt(length)) >> BigInt(ENCODE_VERIFICATION_BITS);
+  if (capacity < 1n) {
+    throw new Error(
+      "The random segments are too short to encode integers, use longer or more segments"
+    );
+  }
+  const headLength = Math.floor(length / 2);
+  return { radix, length, headLength, capacity };
+}
+
+/**
+ * Returns a keyed pseudo-random integer below the modulus, from enough
+ * HMAC-SHA256 blocks that the modulo bias is negligible.
+ *
+ * @param {Uint8Array} key - The secret key.
+ * @param {string} message - The input of the function.
+ * @param {bigint} modulus - The upper bound.
+ * @returns {bigint} - The integer.
+ */
+function keyedInteger(key, message, modulus) {
+  const blocks = Math.ceil((modulus.toString(2).length + 64) / 256);
+  let hex = "";
+  for (let block = 0; block < blocks; block++) {
+    for (const byte of computeHmac(key, `${message}|${block}`)) {
+      hex += byte.toString(16).padStart(2, "0");
+    }
+  }
+  return BigInt(`0x${hex}`) % modulus;
+}
+
+/**
+ * Permutes the integers below radix^length with a keyed Feistel network over
+ * the two halves of their digits, so the result has as many digits.
+ *
+ * @param {bigint} value - The integer to permute.
+ * @param {Uint8Array} key - The secret key.
+ * @param {number} tweak - Selects one of several independent permutations.
+ * @param {Object} codec - The parameters from getIntegerCodec.
+ * @param {boolean} inverse - Whether to apply the inverse permutation.
+ * @returns {bigint} - The permuted integer.
+ */
+function feistelPermute(value, key, tweak, codec, inverse) {
+  const { radix, length, headLength } = codec;
+  const tailModulus = radix ** BigInt(length - headLength);
+  const headModulus = radix ** BigInt(headLength);
+  const round = (i, half) =>
+    keyedInteger(
+      key,
+      `${radix}|${length}|${tweak}|${i}|${half}`,
+      i % 2 === 0 ? headModulus : tailModulus
+    );
+  const mod = (x, modulus) => ((x % modulus) + modulus) % modulus;
+
+  let a = value / tailModulus;
+  let b = value % tailModulus;
+  if (inverse) {
+    for (let i = FEISTEL_ROUNDS - 1; i >= 0; i--) {
+      const modulus = i % 2 === 0 ? headModulus : tailModulus;
+      [a, b] = [mod(b - round(i, a), modulus), a];
+    }
+  } else {
+    for (let i = 0; i < FEISTEL_ROUNDS; i++) {
+      const modulus = i % 2 === 0 ? headModulus : tailModulus;
+      [a, b] = [b, mod(a + round(i, b), modulus)];
+    }
+  }
+  return a * tailModulus + b;
+}
+
+/**
+ * Encodes an integer below the capacity of the codec into an ID, trying
+ * further tweaks while the random segments contain a blocked word.
+ *
+ * @param {bigint} value - The integer to encode.
+ * @param {Object} config - The resolved configuration.
+ * @param {Object} codec - The parameters from getIntegerCodec.
+ * @param {Uint8Array} key - The secret key.
+ * @returns {string|null} - The ID, or null if every tweak contained a blocked word.
+ */
+function encodeInteger(value, config, codec, key) {
+  const { template, alphabet, lowercase, blocklist, prefix, postfix } = config;
+  const randomAlphabet = lowercase ? alphabet.toLowerCase() : alphabet;
+  for (let tweak = 0; tweak < MAX_ENCODE_TWEAKS; tweak++) {
+    let permuted = feistelPermute(value, key, tweak, codec, false);
+    let digits = "";
+    for (let i = 0; i < codec.length; i++) {
+      digits = randomAlphabet[Number(permuted % codec.radix)] + digits;
+      permuted /= codec.radix;
+    }
+    if (blocklist && blocklist.find(digits)) {
+      continue;
+    }
+
+    let offset = 0;
+    const pieces = template.map((token) => {
+      switch (token.type) {
+        case "literal":
+          return token.value;
+        case "prefix":
+          return prefix;
+        case "postfix":
+          return postfix;
+        case "rand":
+          offset += token.length;
+          return digits.slice(offset - token.length, offset);
+        case "signature":
+        case "check":
+          return "";
+      }
+    });
+    return completePieces(pieces, config);
+  }
+  return null;
+}
+
+/**
+ * Encodes a non-negative integer, such as a sequential database key, into an
+ * ID of the given options with a keyed format-preserving permutation of the
+ * random segments. The IDs look random, but decodeId with the same options
+ * and secret recovers the integer.
+ *
+ * The options must not include a date, time or worker ID. Part of the range
+ * of the random segments is left unused so decodeId can detect IDs encoded
+ * with another secret, which limits the largest integer, e.g. to about 2.8e11
+ * for 12 base-36 characters.
+ *
+ * @param {number} value - The non-negative safe integer to encode.
+ * @param {Object} options - The configuration options passed to generateCustomId.
+ * @param {string|Uint8Array} secret - The secret key, at least 16 random bytes are recommended.
+ * @returns {string} - The ID.
+ * @throws {Error} - If the options or secret are invalid or the value is too large for the options.
+ *
+ * @example
+ * const options = { prefix: "U", includeDate: false, includeCheckBit: true };
+ * const id = encodeId(42, options, process.env.ID_SECRET);
+ * decodeId(id, options, process.env.ID_SECRET); // 42
+ */
+function encodeId(value, options, secret) {
+  const config = resolveOptions(options);
+  assertCanSign(config);
+  const codec = getIntegerCodec(config);
+  const key = toSecretBytes(secret);
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error("Value must be a non-negative safe integer");
+  }
+  if (BigInt(value) >= codec.capacity) {
+    throw new Error(
+      `Value ${value} is too large, these options can encode values up to ${
+        codec.capacity - 1n
+      }; use longer or more segments`
+    );
+  }
+  const id = encodeInteger(BigInt(value), config, codec, key);
+  if (id === null) {
+    throw new Error(
+      `Could not encode ${value} without blocked words after ${MAX_ENCODE_TWEAKS} attempts`
+    );
+  }
+  return id;
+}
+
+/**
+ * Decodes an ID created with encodeId back into its integer.
+ *
+ * @param {string} id - The ID to decode.
+ * @param {Object} options - The configuration options passed to encodeId.
+ * @param {string|Uint8Array} secret - The secret key passed to encodeId.
+ * @returns {number} - The integer.
+ * @throws {Error} - If the ID does not match the options, has an invalid check bit or was not encoded with the secret.
+ */
+function decodeId(id, options, secret) {
+  if (typeof id !== "string") {
+    throw new Error("ID must be a string");
+  }
+  const config = resolveOptions(options);
+  const codec = getIntegerCodec(config);
+  const key = toSecretBytes(secret);
+  const { segments } = parseWithConfig(id, config);
+  const randomAlphabet = config.lowercase
+    ? config.alphabet.toLowerCase()
+    : config.alphabet;
+
+  let permuted = 0n;
+  for (const char of segments.join("")) {
+    permuted = permuted * codec.radix + BigInt(randomAlphabet.indexOf(char));
+  }
+  // Encoding the decoded value again confirms the tweak, which is the first
+  // one without a blocked word
+  for (let tweak = 0; tweak < MAX_ENCODE_TWEAKS; tweak++) {
+    const value = feistelPermute(permuted, key, tweak, codec, true);
+    if (
+      value < codec.capacity &&
+      value <= BigInt(Number.MAX_SAFE_INTEGER) &&
+      encodeInteger(value, config, codec, key) === id
+    ) {
+      return Number(value);
+    }
+  }
+  throw new Error(`ID "${id}" was not encoded with this secret and options`);
 }
 
-function getRandomBytes(length) {
-  if (isNode) {
-    return crypto.randomBytes(length);
-  } else {
-    const array = new Uint8Array(length);
-    window.crypto.getRandomValues(array);
-    return array;
+/**
+ * Returns the date fields the IDs of a template record, where epoch and
+ * monotonic times record all of them down to their unit.
+ *
+ * @param {Object[]} template - The compiled template.
+ * @returns {Set<string>} - The date fields, see datePatternFields.
+ */
+function getRecordedFields(template) {
+  const fields = new Set();
+  for (const token of template) {
+    if (token.type === "date" || token.type === "time") {
+      token.parts
+        .filter((part) => part.field)
+        .forEach((part) => fields.add(part.field));
+    } else if (token.type === "epoch" || token.type === "monotonic") {
+      const unit = token.type === "epoch" ? token.unit : 1;
+      Object.keys(dateFieldDurations)
+        .filter((field) => field !== "YY" && dateFieldDurations[field] >= unit)
+        .forEach((field) => fields.add(field));
+    }
   }
+  return fields;
 }
 
-function getRandomSegment(length, lowercase) {
-  const bytes = getRandomBytes(length);
-  let segment = "";
-  for (let i = 0; i < length; i++) {
-    segment += (bytes[i] % 36).toString(36);
+/**
+ * Returns the time zone the date fields of a configuration are written in,
+ * UTC for epoch and monotonic times.
+ *
+ * @param {Object} config - The resolved configuration.
+ * @returns {string} - The IANA time zone, "UTC" or "local".
+ */
+function getFieldZone({ template, timeZone, useLocalTime }) {
+  if (
+    !template.some((token) => token.type === "date" || token.type === "time")
+  ) {
+    return "UTC";
   }
-  return lowercase ? segment : segment.toUpperCase();
+  return timeZone ?? (useLocalTime ? "local" : "UTC");
 }
 
 /**
- * Calculates a check bit for the given ID string.
+ * Creates a function that converts IDs of one configuration to another,
+ * after checking that the conversion keeps all information of the IDs and
+ * has all information the target needs.
  *
- * @param {string} id - The ID string to calculate the check bit for.
- * @returns {string} - The calculated check bit.
+ * @param {Object} from - The resolved configuration of the IDs.
+ * @param {Object} to - The resolved configuration to convert them to.
+ * @returns {Function} - A function converting an ID, which throws an error for IDs that do not match the source configuration.
+ * @throws {Error} - If the conversion would lose or lack information.
  */
-function calculateCheckBit(id) {
-  const sum = id.split("").reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  return (sum % 36).toString(36).toUpperCase();
+function createConverter(from, to) {
+  if (from.alphabet !== to.alphabet) {
+    throw new Error("Converting IDs between alphabets is not supported");
+  }
+  const randomLength = (config) =>
+    config.template.reduce(
+      (sum, token) => sum + (token.type === "rand" ? token.length : 0),
+      0
+    );
+  if (randomLength(from) !== randomLength(to)) {
+    throw new Error(
+      `The random segments of the IDs have ${randomLength(
+        from
+      )} characters, the target options expect ${randomLength(to)}`
+    );
+  }
+
+  // A two-digit year is read as 20YY, so it converts to a four-digit year,
+  // but not the other way around
+  const fromFields = getRecordedFields(from.template);
+  const toFields = getRecordedFields(to.template);
+  const lost = [...fromFields].filter(
+    (field) => !toFields.has(field) && !(field === "YY" && toFields.has("YYYY"))
+  );
+  if (lost.length > 0) {
+    throw new Error(
+      `Converting would lose the date fields ${lost.join(
+        ", "
+      )}, the target options do not have them`
+    );
+  }
+  const missing = [...toFields].filter(
+    (field) =>
+      !fromFields.has(field) &&
+      !(field === "YYYY" && fromFields.has("YY")) &&
+      !(field === "YY" && fromFields.has("YYYY"))
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `The IDs lack the date fields ${missing.join(
+        ", "
+      )} the target options need`
+    );
+  }
+  if (
+    fromFields.size > 0 &&
+    getFieldZone(from) !== getFieldZone(to) &&
+    !fromFields.has("mm")
+  ) {
+    throw new Error(
+      "Changing the time zone of IDs requires a time down to minutes in them"
+    );
+  }
+
+  const hasWorker = (config) =>
+    config.template.some((token) => token.type === "worker");
+  if (hasWorker(from) && !hasWorker(to)) {
+    throw new Error(
+      "The target options have no workerId, converting would lose the worker ID and counter"
+    );
+  }
+  if (!hasWorker(from) && hasWorker(to)) {
+    throw new Error(
+      "The IDs have no worker ID and counter for the target options"
+    );
+  }
+  for (const name of ["prefix", "postfix"]) {
+    const hasToken = (config) =>
+      config.template.some((token) => token.type === name);
+    if (hasToken(from) && !hasToken(to)) {
+      throw new Error(
+        `The target options have no ${name}, converting would drop the ${name} "${from[name]}" of the IDs`
+      );
+    }
+  }
+  assertCanSign(to);
+
+  const fromRandomAlphabet = from.lowercase
+    ? from.alphabet.toLowerCase()
+    : from.alphabet;
+  const toRandomAlphabet = to.lowercase
+    ? to.alphabet.toLowerCase()
+    : to.alphabet;
+
+  return (id) => {
+    if (typeof id !== "string") {
+      throw new Error("ID must be a string");
+    }
+    const parsed = parseWithConfig(id, from);
+    if (from.signing !== null && !verifyWithConfig(id, from)) {
+      throw new Error(`ID "${id}" has an invalid signature`);
+    }
+    const time = parsed.date === null ? null : parsed.date.getTime();
+    const fields = time === null ? null : toDateFields(parsed.date, to);
+    const random = [...parsed.segments.join("")]
+      .map((char) => toRandomAlphabet[fromRandomAlphabet.indexOf(char)])
+      .join("");
+
+    let offset = 0;
+    const pieces = to.template.map((token) => {
+      switch (token.type) {
+        case "literal":
+          return token.value;
+        case "prefix":
+          return to.prefix;
+        case "postfix":
+          return to.postfix;
+        case "date":
+        case "time":
+          return formatDateParts(token.parts, fields);
+        case "epoch":
+          return encodeEpochTime(time, token);
+        case "monotonic":
+          return encodeEpochTime(time, {
+            unit: 1,
+            width: to.timeLength,
+            alphabet: to.alphabet,
+          });
+        case "worker":
+          return encodeNumber(parsed.workerId, to.alphabet, token.width);
+        case "counter":
+          return encodeNumber(parsed.counter, to.alphabet, token.width);
+        case "rand":
+          offset += token.length;
+          return random.slice(offset - token.length, offset);
+        case "signature":
+        case "check":
+          return "";
+      }
+    });
+    return completePieces(pieces, to);
+  };
 }
 
 /**
- * Generates a custom unique identifier with a low probability of collision.
+ * Resolves the source and target options of a conversion and creates the
+ * converter. The target keeps the prefix and postfix of the source unless
+ * its options set them, as they name the type of the IDs.
  *
- * ID Format: PREFIX-YYYYMMDD-XXXXXXXXXXXX-CHECKBIT, PREFIX-TIMESTAMP-XXXXXXXXXXXX-CHECKBIT or PREFIX-XXXXXXXXXXXX-CHECKBIT
- * Example:   CA-20250207-7KXG1L89Q2MZ-5, CA-20250207T123456-7KXG1L89Q2MZ-5 or CA-7KXG1L89Q2MZ-5
+ * @param {Object} fromOptions - The configuration options of the IDs.
+ * @param {Object} toOptions - The configuration options to convert them to.
+ * @returns {Function} - A function converting an ID, see createConverter.
+ */
+function resolveConverter(fromOptions, toOptions) {
+  const from = resolveOptions(fromOptions);
+  const to = resolveOptions({
+    prefix: from.prefix,
+    postfix: from.postfix,
+    ...toOptions,
+  });
+  return createConverter(from, to);
+}
+
+/**
+ * Converts an ID to another configuration, e.g. to migrate stored IDs to a
+ * new delimiter or add check bits. The ID is parsed with the source options
+ * and its date, random segments and worker ID and counter are written with
+ * the target options, with the delimiter, case, check bit and signature of
+ * the target options. The prefix and postfix are kept unless the target
+ * options set them.
  *
- * For multiple segments:
- * - 1 segments: Minimum segment length of 8, maximum segment length of 15
- * - 2 segments: Minimum segment length of 5, maximum segment length of 10
- * - 3 segments: Minimum segment length of 4, maximum segment length of 8
- * - 4 segments: Minimum segment length of 3, maximum segment length of 6
+ * Conversions that would lose information, such as from a four-digit to a
+ * two-digit year, from a timestamp to a date or to options without a prefix
+ * or postfix the IDs have, or need information the IDs lack, are refused.
  *
- * @param {Object} [options={}] - Configuration options
- * @param {string|null} [options.prefix="ID"] - Optional prefix (default: "ID"), use null to exclude prefix
- * @param {number} [options.segmentLength=12] - Length of each random segment (default: 12)
- * @param {number} [options.numSegments=1] - Number of random segments (default: 1, min: 1, max: 4)
- * @param {boolean} [options.includeDate=true] - Whether to include the date segment (default: true)
- * @param {boolean} [options.useTwoDigitYear=false] - Whether to use a 2-digit year instead of a 4-digit year (default: false)
- * @param {boolean} [options.useTimestamp=false] - Whether to use a full timestamp instead of just the date value (default: false)
- * @param {boolean} [options.useLocalTime=false] - Whether to use local system time instead of UTC (default: false)
- * @param {string|null} [options.delimiter="-"] - Delimiter to use between segments (default: "-"), use null for no delimiter
- * @param {boolean} [options.lowercase=false] - Whether to use lowercase for the random segment (default: false)
- * @param {string|null} [options.postfix=null] - Optional postfix (default: null), use null to exclude postfix
- * @param {boolean} [options.includeCheckBit=false] - Whether to include a check bit at the end (default: false)
- * @returns {Function} - A function that generates unique IDs with the preset configuration
+ * @param {string} id - The ID string to convert.
+ * @param {Object} fromOptions - The configuration options the ID was generated with.
+ * @param {Object} toOptions - The configuration options to convert it to.
+ * @returns {string} - The converted ID.
+ * @throws {Error} - If the options are invalid, the conversion would lose or lack information, or the ID does not match the source options.
  *
  * @example
- * const generateUserId = generateCustomId({ prefix: "U", useTimestamp: true, postfix: "POST", includeCheckBit: true });
- * const newUserId = generateUserId();
+ * convertCustomId("ID|20250207|7KXG1L89Q2MZ", { delimiter: "|" }, { includeCheckBit: true });
+ * // "ID-20250207-7KXG1L89Q2MZ-I"
  */
-function generateCustomId(options = {}) {
-  const {
-    prefix = "ID",
-    segmentLength = 12,
-    numSegments = 1,
-    includeDate = true,
-    useTwoDigitYear = false,
-    useTimestamp = false,
-    useLocalTime = false,
-    delimiter = "-",
-    lowercase = false,
-    postfix = null,
-    includeCheckBit = false,
-  } = options;
+function convertCustomId(id, fromOptions, toOptions) {
+  return resolveConverter(fromOptions, toOptions)(id);
+}
 
-  if (prefix !== null && typeof prefix !== "string") {
-    throw new Error("Prefix must be a string or null");
+/**
+ * Converts many IDs to another configuration, see convertCustomId. The
+ * options are checked once, and IDs that cannot be converted are reported
+ * instead of stopping the batch.
+ *
+ * @param {Iterable<string>} ids - The IDs to convert.
+ * @param {Object} fromOptions - The configuration options the IDs were generated with.
+ * @param {Object} toOptions - The configuration options to convert them to.
+ * @returns {Object} - The converted IDs in input order, null for failed ones, and the errors with the index, ID and message of every failed ID.
+ * @throws {Error} - If the options are invalid or the conversion would lose or lack information.
+ *
+ * @example
+ * const { converted, errors } = convertCustomIds(storedIds, { delimiter: "|" }, { includeCheckBit: true });
+ */
+function convertCustomIds(ids, fromOptions, toOptions) {
+  if (typeof ids?.[Symbol.iterator] !== "function" || typeof ids === "string") {
+    throw new Error("IDs must be an iterable of strings");
+  }
+  const convert = resolveConverter(fromOptions, toOptions);
+  const converted = [];
+  const errors = [];
+  for (const id of ids) {
+    try {
+      converted.push(convert(id));
+    } catch (error) {
+      errors.push({ index: converted.length, id, message: error.message });
+      converted.push(null);
+    }
   }
+  return { converted, errors };
+}
+
+// Wall-clock times from the start of year 0 to the end of year 9999, the
+// dates four-digit years can show, as milliseconds of the UTC calendar
+const YEAR_ZERO = new Date(Date.UTC(2000, 0, 1)).setUTCFullYear(0);
+const YEAR_END = Date.UTC(10000, 0, 1);
+
+// Bits of a UUIDv8 left for custom data besides its version and variant
+const UUID_PAYLOAD_BITS = 122;
+
+/**
+ * Returns the components of the binary form of the IDs of a configuration:
+ * the wall-clock time of the date and time tokens, in units of their finest
+ * field, and the characters of every other variable token, as digits of one
+ * integer in template order.
+ *
+ * @param {Object} config - The resolved configuration.
+ * @returns {Object} - The components with their radixes, the time resolution in milliseconds, the number of values and the byte length.
+ */
+function getByteCodec(config) {
+  const { template, alphabet, lowercase, timeLength } = config;
+  const randomAlphabet = lowercase ? alphabet.toLowerCase() : alphabet;
+  const dateFields = getRecordedFields(
+    template.filter((token) => token.type === "date" || token.type === "time")
+  );
+  const resolution = Math.min(
+    86_400_000,
+    ...[...dateFields].map((field) => dateFieldDurations[field])
+  );
+  const components = [];
+  template.forEach((token, index) => {
+    const chars = (charset, width) =>
+      components.push({
+        index,
+        charset,
+        width,
+        radix: BigInt(charset.length) ** BigInt(width),
+      });
+    switch (token.type) {
+      case "date":
+      case "time":
+        if (!components.some((component) => component.date)) {
+          components.push({
+            date: true,
+            radix: BigInt(Math.ceil((YEAR_END - YEAR_ZERO) / resolution)),
+          });
+        }
+        break;
+      case "epoch":
+        chars(alphabets.base36, token.width);
+        break;
+      case "monotonic":
+        chars(alphabet, timeLength);
+        break;
+      case "worker":
+      case "counter":
+      case "signature":
+        chars(alphabet, token.width);
+        break;
+      case "rand":
+        chars(randomAlphabet, token.length);
+        break;
+    }
+  });
+  const capacity = components.reduce(
+    (product, component) => product * component.radix,
+    1n
+  );
+  const bits = (capacity - 1n).toString(2).length;
+  return {
+    components,
+    resolution,
+    capacity,
+    bits,
+    byteLength: Math.ceil(bits / 8),
+  };
+}
 
-  if (typeof segmentLength !== "number" || !Number.isInteger(segmentLength)) {
-    throw new Error("Segment length must be an integer");
+/**
+ * Converts an ID to the integer of its binary form.
+ *
+ * @param {string} id - The ID string.
+ * @param {Object} config - The resolved configuration.
+ * @param {Object} codec - The components from getByteCodec.
+ * @returns {bigint} - The integer.
+ * @throws {Error} - If the ID does not match the configuration.
+ */
+function idToInteger(id, config, codec) {
+  if (typeof id !== "string") {
+    throw new Error("ID must be a string");
   }
+  const { date } = parseWithConfig(id, config);
+  const { groups } = templateToRegExp(config.template, config).exec(id);
+  let value = 0n;
+  for (const component of codec.components) {
+    let digit = 0n;
+    if (component.date) {
+      const fields = toDateFields(date, config);
+      const wall = new Date(0);
+      wall.setUTCFullYear(
+        Number(fields.YYYY),
+        Number(fields.MM) - 1,
+        Number(fields.DD)
+      );
+      wall.setUTCHours(
+        Number(fields.HH),
+        Number(fields.mm),
+        Number(fields.ss),
+        Number(fields.SSS)
+      );
+      digit = BigInt((wall.getTime() - YEAR_ZERO) / codec.resolution);
+    } else {
+      const radix = BigInt(component.charset.length);
+      for (const char of groups[`t${component.index}`]) {
+        digit = digit * radix + BigInt(component.charset.indexOf(char));
+      }
+    }
+    value = value * component.radix + digit;
+  }
+  return value;
+}
 
-  if (
-    typeof numSegments !== "number" ||
-    !Number.isInteger(numSegments) ||
-    numSegments < 1 ||
-    numSegments > 4
-  ) {
-    throw new Error("Number of segments must be an integer between 1 and 4");
+/**
+ * Converts the integer of a binary form back to its ID.
+ *
+ * @param {bigint} value - The integer.
+ * @param {Object} config - The resolved configuration.
+ * @param {Object} codec - The components from getByteCodec.
+ * @returns {string|null} - The ID, or null if the integer is not the binary form of an ID of the configuration.
+ */
+function integerToId(value, config, codec) {
+  if (value >= codec.capacity) {
+    return null;
+  }
+  const texts = new Map();
+  let fields = null;
+  let remaining = value;
+  for (const component of [...codec.components].reverse()) {
+    const digit = remaining % component.radix;
+    remaining /= component.radix;
+    if (component.date) {
+      fields = toDateFields(
+        new Date(YEAR_ZERO + Number(digit) * codec.resolution),
+        { useLocalTime: false, timeZone: null }
+      );
+    } else {
+      const radix = BigInt(component.charset.length);
+      let text = "";
+      let rest = digit;
+      for (let i = 0; i < component.width; i++) {
+        text = component.charset[Number(rest % radix)] + text;
+        rest /= radix;
+      }
+      texts.set(component.index, text);
+    }
   }
 
-  // Validate segment length based on the number of segments
-  const segmentLengthRanges = {
-    1: { min: 8, max: 15 },
-    2: { min: 5, max: 10 },
-    3: { min: 4, max: 8 },
-    4: { min: 3, max: 6 },
-  };
+  const pieces = config.template.map((token, i) => {
+    switch (token.type) {
+      case "literal":
+        return token.value;
+      case "prefix":
+        return config.prefix;
+      case "postfix":
+        return config.postfix;
+      case "date":
+      case "time":
+        return formatDateParts(token.parts, fields);
+      case "check":
+        return "";
+      default:
+        return texts.get(i);
+    }
+  });
+  const id = completePieces(pieces, config);
+  // Dates that do not exist in the time zone of the IDs, and two-digit years
+  // outside 2000 to 2099, do not convert back to the same integer
+  try {
+    return idToInteger(id, config, codec) === value ? id : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-  const { min: minSegmentLength, max: maxSegmentLength } =
-    segmentLengthRanges[numSegments];
+/**
+ * Converts an ID to a compact binary form of its date, time and random
+ * segments, and its worker ID, counter and signature if any. The prefix,
+ * postfix, delimiters and check bit are left out, as the options restore
+ * them.
+ *
+ * All IDs of the same options have the same byte length. The bytes are big
+ * endian in the order of the ID, so with the default layout they sort by
+ * date like the IDs.
+ *
+ * @param {string} id - The ID string.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {Uint8Array} - The bytes.
+ * @throws {Error} - If the options are invalid or the ID does not match them.
+ *
+ * @example
+ * const bytes = toBytes("ID-20250207-7KXG1L89Q2MZ"); // 11 bytes
+ * fromBytes(bytes); // "ID-20250207-7KXG1L89Q2MZ"
+ */
+function toBytes(id, options = {}) {
+  const config = resolveOptions(options);
+  const codec = getByteCodec(config);
+  let value = idToInteger(id, config, codec);
+  const bytes = new Uint8Array(codec.byteLength);
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
 
-  if (segmentLength < minSegmentLength || segmentLength > maxSegmentLength) {
+/**
+ * Converts the binary form from toBytes back to its ID.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {Object} [options={}] - The configuration options passed to toBytes.
+ * @returns {string} - The ID.
+ * @throws {Error} - If the options are invalid, or the bytes have the wrong length or are not the binary form of an ID of the options.
+ */
+function fromBytes(bytes, options = {}) {
+  const config = resolveOptions(options);
+  const codec = getByteCodec(config);
+  if (!(bytes instanceof Uint8Array) || bytes.length !== codec.byteLength) {
     throw new Error(
-      `Segment length for ${numSegments} segments must be between ${minSegmentLength} and ${maxSegmentLength}`
+      `Bytes must be a Uint8Array of ${codec.byteLength} bytes for these options`
     );
   }
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  const id = integerToId(value, config, codec);
+  if (id === null) {
+    throw new Error("Bytes do not encode an ID of these options");
+  }
+  return id;
+}
 
-  const validDelimiters = ["-", "_", "|", ".", "#", null];
-  if (!validDelimiters.includes(delimiter)) {
+/**
+ * Converts an ID to an RFC 9562 version 8 UUID that holds its binary form,
+ * see toBytes, for systems that only store UUIDs. The binary form must fit in
+ * the 122 custom bits of a UUID, e.g. 84 bits with the default options.
+ *
+ * @param {string} id - The ID string.
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @returns {string} - The UUID in lowercase.
+ * @throws {Error} - If the options are invalid or their IDs do not fit in a UUID, or the ID does not match them.
+ *
+ * @example
+ * const uuid = toUUID("ID-20250207-7KXG1L89Q2MZ"); // "00000000-00b9-88a6-9f0f-64dc860ce8db"
+ * fromUUID(uuid); // "ID-20250207-7KXG1L89Q2MZ"
+ */
+function toUUID(id, options = {}) {
+  const config = resolveOptions(options);
+  const codec = getUuidCodec(config);
+  const value = idToInteger(id, config, codec);
+  // custom_a (48 bits), version, custom_b (12 bits), variant, custom_c (62 bits)
+  const uuid =
+    ((value >> 74n) << 80n) |
+    (8n << 76n) |
+    (((value >> 62n) & 0xfffn) << 64n) |
+    (2n << 62n) |
+    (value & ((1n << 62n) - 1n));
+  const hex = uuid.toString(16).padStart(32, "0");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+/**
+ * Converts a UUID from toUUID back to its ID.
+ *
+ * @param {string} uuid - The UUID, in any case.
+ * @param {Object} [options={}] - The configuration options passed to toUUID.
+ * @returns {string} - The ID.
+ * @throws {Error} - If the options are invalid or their IDs do not fit in a UUID, or the UUID is not a version 8 UUID of an ID of the options.
+ */
+function fromUUID(uuid, options = {}) {
+  const config = resolveOptions(options);
+  const codec = getUuidCodec(config);
+  if (
+    typeof uuid !== "string" ||
+    !/^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
+      uuid
+    )
+  ) {
+    throw new Error(`"${uuid}" is not a version 8 UUID`);
+  }
+  const bits = BigInt(`0x${uuid.replaceAll("-", "")}`);
+  const value =
+    ((bits >> 80n) << 74n) |
+    (((bits >> 64n) & 0xfffn) << 62n) |
+    (bits & ((1n << 62n) - 1n));
+  const id = integerToId(value, config, codec);
+  if (id === null) {
+    throw new Error(`UUID "${uuid}" does not encode an ID of these options`);
+  }
+  return id;
+}
+
+/**
+ * Returns the binary form of the IDs of a configuration, if it fits in a
+ * UUID.
+ *
+ * @param {Object} config - The resolved configuration.
+ * @returns {Object} - The components from getByteCodec.
+ * @throws {Error} - If the IDs carry more bits than a UUID holds.
+ */
+function getUuidCodec(config) {
+  const codec = getByteCodec(config);
+  if (codec.bits > UUID_PAYLOAD_BITS) {
     throw new Error(
-      `Delimiter must be one of the following: ${validDelimiters.join(", ")}`
+      `IDs of these options carry ${codec.bits} bits, more than the ${UUID_PAYLOAD_BITS} bits a UUID holds; use shorter or fewer segments`
     );
   }
+  return codec;
+}
 
-  if (postfix !== null && typeof postfix !== "string") {
-    throw new Error("Postfix must be a string or null");
-  }
+/**
+ * Creates a registry of named ID types that stores their configurations,
+ * generates IDs by type name and identifies which type an ID belongs to.
+ *
+ * Types whose IDs could be confused, i.e. some string matches the structure of
+ * both, are rejected when they are defined, so identify finds at most one type.
+ *
+ * @param {Object} [types={}] - Configuration options passed to generateCustomId, keyed by type name.
+ * @returns {Object} - The registry with defineIdType(name, options), generator(name), generate(name) and identify(id) methods.
+ *
+ * @example
+ * const registry = createIdRegistry({ sample: { prefix: "S" }, trip: { prefix: "T", useTimestamp: true } });
+ * const sampleId = registry.generate("sample");
+ * registry.identify(sampleId).type; // "sample"
+ */
+function createIdRegistry(types = {}) {
+  const entries = new Map();
 
-  const delimiterChar = delimiter === null ? "" : delimiter;
-
-  return function () {
-    let dateSegment = "";
-    if (includeDate) {
-      const date = new Date();
-      if (useTimestamp) {
-        const datePart = useLocalTime
-          ? date.toLocaleDateString("en-CA").replace(/-/g, "")
-          : date.toISOString().split("T")[0].replace(/-/g, "");
-        const formattedDatePart = useTwoDigitYear
-          ? datePart.slice(2) // Use last two digits of the year
-          : datePart;
-        let timePart = useLocalTime
-          ? date
-              .toLocaleTimeString("en-GB", { hour12: false }) // en-GB ensures the time format is HH:MM:SS in 24-hour format
-              .replace(/:/g, "")
-          : date.toISOString().split("T")[1].replace(/[:.Z]/g, "").slice(0, 6);
-        dateSegment = `${formattedDatePart}${delimiterChar}${timePart}`; // YYMMDD-HHMM or YYYYMMDD-HHMMSS
-      } else {
-        dateSegment = useLocalTime
-          ? date.toLocaleDateString("en-CA").replace(/-/g, "")
-          : date.toISOString().split("T")[0].replace(/-/g, "");
-        const formattedDateSegment = useTwoDigitYear
-          ? dateSegment.slice(2) // Use last two digits of the year
-          : dateSegment;
-        dateSegment = formattedDateSegment;
-      }
+  const getEntry = (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown ID type "${name}"`);
     }
+    return entry;
+  };
 
-    let randomSegments = [];
-    for (let i = 0; i < numSegments; i++) {
-      const randomSegment = getRandomSegment(segmentLength, lowercase);
-      randomSegments.push(randomSegment);
-    }
+  const registry = {
+    /**
+     * Defines a named ID type.
+     *
+     * @param {string} name - The name of the type.
+     * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+     * @returns {Object} - The registry, for chaining.
+     * @throws {Error} - If the name is taken or IDs of the type could be confused with another type.
+     */
+    defineIdType(name, options = {}) {
+      if (typeof name !== "string" || name.length === 0) {
+        throw new Error("ID type name must be a non-empty string");
+      }
+      if (entries.has(name)) {
+        throw new Error(`ID type "${name}" is already defined`);
+      }
+      const config = resolveOptions(options);
+      const positions = getTemplatePositions(config.template, config);
+      for (const [otherName, other] of entries) {
+        if (positionsOverlap(positions, other.positions)) {
+          throw new Error(
+            `ID type "${name}" is ambiguous with "${otherName}": an ID can match both configurations`
+          );
+        }
+      }
+      entries.set(name, {
+        config,
+        positions,
+        generateId: generateCustomId(options),
+      });
+      return registry;
+    },
+
+    /**
+     * Returns the generator of a type.
+     *
+     * @param {string} name - The name of the type.
+     * @returns {Function} - The generator returned by generateCustomId.
+     */
+    generator(name) {
+      return getEntry(name).generateId;
+    },
+
+    /**
+     * Generates an ID of a type.
+     *
+     * @param {string} name - The name of the type.
+     * @returns {string} - The generated ID.
+     */
+    generate(name) {
+      return getEntry(name).generateId();
+    },
+
+    /**
+     * Finds the type an ID belongs to by its prefix, structure and check bit.
+     *
+     * @param {string} id - The ID string to identify.
+     * @returns {Object|null} - The type name and the parsed components, or null if no type matches.
+     */
+    identify(id) {
+      if (typeof id !== "string") {
+        return null;
+      }
+      for (const [name, { config }] of entries) {
+        try {
+          return { type: name, parsed: parseWithConfig(id, config) };
+        } catch (error) {
+          // Not an ID of this type
+        }
+      }
+      return null;
+    },
+
+    /**
+     * The names of the defined types, in definition order.
+     *
+     * @type {string[]}
+     */
+    get types() {
+      return [...entries.keys()];
+    },
+  };
+
+  for (const [name, options] of Object.entries(types)) {
+    registry.defineIdType(name, options);
+  }
+  return registry;
+}
 
-    const prefixSegment = prefix === null ? "" : prefix;
-    const delimiterPrefix = prefix === null ? "" : delimiterChar;
-    const postfixSegment = postfix === null ? "" : postfix;
-    const randomSegmentString = randomSegments.join(delimiterChar);
+/**
+ * Creates an in-memory store of seen IDs that keeps the most recently used
+ * IDs and evicts the least recently used once it is full.
+ *
+ * @param {Object} [options={}] - Store options.
+ * @param {number} [options.maxSize=100000] - The maximum number of IDs to keep (default: 100000).
+ * @returns {Object} - A store with has(id) and add(id) methods.
+ */
+function createLruStore({ maxSize = 100_000 } = {}) {
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new Error("Maximum store size must be a positive integer");
+  }
+
+  const ids = new Map();
+  return {
+    has(id) {
+      if (!ids.has(id)) {
+        return false;
+      }
+      // Move the ID to the end of the insertion order
+      ids.delete(id);
+      ids.set(id, true);
+      return true;
+    },
+    add(id) {
+      ids.delete(id);
+      ids.set(id, true);
+      if (ids.size > maxSize) {
+        ids.delete(ids.keys().next().value);
+      }
+    },
+    get size() {
+      return ids.size;
+    },
+  };
+}
 
-    let id = `${prefixSegment}${delimiterPrefix}${
-      includeDate ? `${dateSegment}${delimiterChar}` : ""
-    }${randomSegmentString}${
-      postfixSegment ? `${delimiterChar}${postfixSegment}` : ""
-    }`;
+/**
+ * Creates a store of seen IDs backed by an append-only file with one ID per
+ * line. Existing IDs are loaded into memory when the store is created.
+ * Node.js only, the fs module is loaded with process.getBuiltinModule like
+ * the crypto fallback of getDefaultEntropySource.
+ *
+ * @param {string} path - The path of the file, created if it does not exist.
+ * @returns {Object} - A synchronous store with has(id) and add(id) methods.
+ * @throws {Error} - Outside Node.js.
+ *
+ * @example
+ * const store = createFileStore("sample-ids.txt");
+ * const generateSampleId = createUniqueGenerator({ prefix: "S" }, { store });
+ */
+function createFileStore(path) {
+  const fs = isNode ? globalThis.process.getBuiltinModule?.("fs") : undefined;
+  if (!fs) {
+    throw new Error("The file store is only available in Node.js");
+  }
 
-    if (includeCheckBit) {
-      const checkBit = calculateCheckBit(id);
-      id += `${delimiterChar}${checkBit}`;
+  const ids = new Set();
+  if (fs.existsSync(path)) {
+    for (const line of fs.readFileSync(path, "utf8").split("\n")) {
+      if (line) {
+        ids.add(line);
+      }
     }
+  }
 
-    return id;
+  return {
+    has(id) {
+      return ids.has(id);
+    },
+    add(id) {
+      fs.appendFileSync(path, `${id}\n`);
+      ids.add(id);
+    },
+    get size() {
+      return ids.size;
+    },
   };
 }
 
+function isThenable(value) {
+  return value != null && typeof value.then === "function";
+}
+
 /**
- * Validates the check bit of the given ID string.
+ * Wraps generateCustomId so every ID is checked against a store of seen IDs
+ * and regenerated on collision.
  *
- * @param {string} id - The ID string to validate.
- * @returns {boolean} - True if the check bit is valid, false otherwise.
+ * The store can be synchronous, such as createLruStore() or createFileStore(),
+ * or asynchronous with has(id) and add(id) returning promises, e.g. to check a
+ * database. With an asynchronous store the returned function returns a
+ * Promise of the ID.
+ *
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @param {Object} [uniqueOptions={}] - Uniqueness options.
+ * @param {Object} [uniqueOptions.store=createLruStore()] - Store with has(id) and add(id) methods.
+ * @param {number} [uniqueOptions.maxRetries=10] - How often to regenerate a colliding ID before giving up (default: 10).
+ * @returns {Function} - A function that generates unique IDs, with a `stats` property counting generated IDs, collisions and exhausted retries.
+ * @throws {Error} - From the returned function, if every retry collided.
+ *
+ * @example
+ * const generateSampleId = createUniqueGenerator({ prefix: "S" }, { store: createLruStore({ maxSize: 1000 }) });
+ * const sampleId = generateSampleId();
  */
-function validateCheckBit(id) {
-  const validDelimiters = ["-", "_", "|", ".", "#", ""];
-  let detectedDelimiter = "";
+function createUniqueGenerator(
+  options = {},
+  { store = createLruStore(), maxRetries = 10 } = {}
+) {
+  if (
+    store === null ||
+    typeof store !== "object" ||
+    typeof store.has !== "function" ||
+    typeof store.add !== "function"
+  ) {
+    throw new Error("Store must have has(id) and add(id) methods");
+  }
 
-  for (const delimiter of validDelimiters) {
-    if (delimiter === "" || id.includes(delimiter)) {
-      detectedDelimiter = delimiter;
-      break;
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    throw new Error("Maximum retries must be a non-negative integer");
+  }
+
+  const generateId = generateCustomId(options);
+  const stats = { generated: 0, collisions: 0, exhausted: 0 };
+
+  const exhaustedError = () => {
+    stats.exhausted++;
+    return new Error(
+      `Could not generate a unique ID after ${maxRetries} retries (${stats.collisions} collisions so far)`
+    );
+  };
+
+  const generateUniqueIdAsync = async (id, seen, attempt) => {
+    for (;;) {
+      if (!(await seen)) {
+        await store.add(id);
+        stats.generated++;
+        return id;
+      }
+      stats.collisions++;
+      if (++attempt > maxRetries) {
+        throw exhaustedError();
+      }
+      id = generateId();
+      seen = store.has(id);
+    }
+  };
+
+  function generateUniqueId() {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const id = generateId();
+      const seen = store.has(id);
+      if (isThenable(seen)) {
+        return generateUniqueIdAsync(id, seen, attempt);
+      }
+      if (!seen) {
+        const added = store.add(id);
+        if (isThenable(added)) {
+          return added.then(() => {
+            stats.generated++;
+            return id;
+          });
+        }
+        stats.generated++;
+        return id;
+      }
+      stats.collisions++;
     }
+    throw exhaustedError();
   }
 
-  const parts = detectedDelimiter
-    ? id.split(detectedDelimiter)
-    : [id.slice(0, -1), id.slice(-1)];
-  const checkBit = parts.pop(); // Remove the check bit
-  const idWithoutCheckBit = parts.join(detectedDelimiter);
-  const calculatedCheckBit = calculateCheckBit(idWithoutCheckBit);
-  return checkBit === calculatedCheckBit;
+  generateUniqueId.stats = stats;
+  return generateUniqueId;
+}
+
+/**
+ * Validates the count of IDs to produce, where Infinity means unlimited.
+ *
+ * @param {number} count - The number of IDs.
+ */
+function validateCount(count) {
+  if (count !== Infinity && (!Number.isInteger(count) || count < 0)) {
+    throw new Error("Count must be a non-negative integer");
+  }
+}
+
+/**
+ * Returns an async iterator over IDs generated with the given options, for
+ * use with for await. IDs are only generated when the consumer asks for the
+ * next one.
+ *
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @param {Object} [iteratorOptions={}] - Iterator options.
+ * @param {number} [iteratorOptions.count=Infinity] - The number of IDs to generate, unlimited by default.
+ * @returns {AsyncIterator<string>} - An async iterator over the generated IDs.
+ *
+ * @example
+ * for await (const id of idIterator({ prefix: "ROW" }, { count: 1000 })) {
+ *   await insertRow(id);
+ * }
+ */
+function idIterator(options = {}, { count = Infinity } = {}) {
+  validateCount(count);
+  const generateId = generateCustomId(options);
+  return (async function* () {
+    for (let i = 0; i < count; i++) {
+      yield generateId();
+    }
+  })();
 }
 
-export { generateCustomId, validateCheckBit };
+export {
+  capacityFor,
+  convertCustomId,
+  convertCustomIds,
+  createFileStore,
+  createIdRegistry,
+  createLruStore,
+  createSeededRandom,
+  createUniqueGenerator,
+  decodeId,
+  defaultBlocklist,
+  encodeId,
+  estimateCollisionProbability,
+  fromBytes,
+  fromUUID,
+  generateCustomId,
+  getIdTimestamp,
+  idIterator,
+  idRangeForDates,
+  isValidCustomId,
+  normalizeCustomId,
+  parseCustomId,
+  suggestCorrections,
+  toBytes,
+  toJsonSchema,
+  toRegExp,
+  toUUID,
+  validateCheckBit,
+  verifySignedId,
+};
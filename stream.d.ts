@@ -0,0 +1,32 @@
+import type { Readable } from "stream";
+import type { CustomIdOptions } from "./generateCustomId.js";
+
+export interface IdStreamOptions {
+  /**
+   * The number of IDs to generate (default: unlimited)
+   */
+  count?: number;
+
+  /**
+   * Whether to emit one string per ID, or newline-terminated text (default: true)
+   */
+  objectMode?: boolean;
+
+  /**
+   * The number of IDs, or bytes of text, to buffer ahead of the consumer
+   */
+  highWaterMark?: number;
+}
+
+/**
+ * Creates a readable stream of generated IDs that pauses generation while the
+ * consumer is not reading. Node.js only.
+ * @param options The configuration options passed to generateCustomId
+ * @param streamOptions The count, mode and buffer size of the stream
+ * @returns The readable stream
+ * @throws Error if the options or the count are invalid
+ */
+export function createIdStream(
+  options?: CustomIdOptions,
+  streamOptions?: IdStreamOptions
+): Readable;
@@ -0,0 +1,68 @@
+import { Readable } from "stream";
+import { generateCustomId } from "./generateCustomId.js";
+
+/**
+ * Creates a Node.js Readable stream of IDs generated with the given options.
+ * IDs are generated as the stream is read, so a slow consumer pauses the
+ * generation.
+ *
+ * Kept out of generateCustomId.js, which runs in browsers, as it imports the
+ * Node.js stream module.
+ *
+ * @param {Object} [options={}] - The configuration options passed to generateCustomId.
+ * @param {Object} [streamOptions={}] - Stream options.
+ * @param {number} [streamOptions.count=Infinity] - The number of IDs to generate, unlimited by default.
+ * @param {boolean} [streamOptions.objectMode=true] - Whether to emit one string per ID, or newline-terminated text (default: true).
+ * @param {number} [streamOptions.highWaterMark] - The number of IDs, or bytes of text, to buffer ahead of the consumer (default: the Node.js default).
+ * @returns {Readable} - The readable stream.
+ *
+ * @example
+ * createIdStream({ prefix: "ROW" }, { count: 1_000_000, objectMode: false })
+ *   .pipe(fs.createWriteStream("ids.txt"));
+ */
+function createIdStream(
+  options = {},
+  { count = Infinity, objectMode = true, highWaterMark } = {}
+) {
+  if (count !== Infinity && (!Number.isInteger(count) || count < 0)) {
+    throw new Error("Count must be a non-negative integer");
+  }
+  const generateId = generateCustomId(options);
+
+  let remaining = count;
+  return new Readable({
+    objectMode,
+    highWaterMark,
+    encoding: objectMode ? undefined : "utf8",
+    read(size) {
+      try {
+        if (objectMode) {
+          // Push until the buffer is full, read is called again once drained
+          while (remaining > 0) {
+            remaining--;
+            if (!this.push(generateId())) {
+              return;
+            }
+          }
+        } else {
+          // Push the text in chunks of about the requested size
+          let chunk = "";
+          while (remaining > 0 && chunk.length < size) {
+            remaining--;
+            chunk += `${generateId()}\n`;
+          }
+          if (chunk) {
+            this.push(chunk);
+          }
+        }
+        if (remaining === 0) {
+          this.push(null);
+        }
+      } catch (error) {
+        this.destroy(error);
+      }
+    },
+  });
+}
+
+export { createIdStream };
@@ -0,0 +1,454 @@
+import { describe, it, beforeAll } from "vitest";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { run } from "../bin/gen-id.js";
+import {
+  generateCustomId,
+  parseCustomId,
+  validateCheckBit,
+} from "../generateCustomId.js";
+
+let expect;
+
+beforeAll(async () => {
+  const chai = await import("chai");
+  expect = chai.expect;
+});
+
+async function runCli(args, stdin = "") {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(args, {
+    readStdin: async () => stdin,
+    stdout: (text) => (stdout += text),
+    stderr: (text) => (stderr += text),
+  });
+  return { code, stdout, stderr };
+}
+
+describe("gen-id", function () {
+  it("should generate one ID with the default options", async function () {
+    const { code, stdout } = await runCli([]);
+    expect(code).to.equal(0);
+    expect(stdout).to.match(/^ID-\d{8}-[A-Z0-9]{12}\n$/);
+  });
+
+  it("should generate the requested number of IDs with the given options", async function () {
+    const { code, stdout } = await runCli([
+      "generate",
+      "--count",
+      "5",
+      "--prefix",
+      "S",
+      "--num-segments",
+      "2",
+      "--segment-length",
+      "5",
+      "--delimiter",
+      "_",
+      "--timestamp",
+      "--two-digit-year",
+      "--lowercase",
+      "--postfix",
+      "X",
+      "--check-bit",
+      "--check-algorithm",
+      "damm",
+    ]);
+    expect(code).to.equal(0);
+    const ids = stdout.trim().split("\n");
+    expect(ids).to.have.lengthOf(5);
+    ids.forEach((id) => {
+      expect(id).to.match(/^S_\d{6}_\d{6}_[a-z0-9]{5}_[a-z0-9]{5}_X_[A-Z0-9]$/);
+      expect(validateCheckBit(id, { checkAlgorithm: "damm" })).to.be.true;
+    });
+  });
+
+  it("should generate IDs without prefix, date or delimiter", async function () {
+    const { stdout } = await runCli([
+      "--no-prefix",
+      "--no-date",
+      "--delimiter",
+      "none",
+      "--alphabet",
+      "hex",
+      "--segment-length",
+      "16",
+    ]);
+    expect(stdout).to.match(/^[0-9A-F]{16}\n$/);
+  });
+
+  it("should generate reproducible IDs with a seed", async function () {
+    const first = await runCli(["--seed", "42", "--count", "3", "--no-date"]);
+    const second = await runCli(["--seed", "42", "--count", "3", "--no-date"]);
+    expect(first.stdout).to.equal(second.stdout);
+  });
+
+  it("should output JSON and CSV", async function () {
+    const json = await runCli(["--count", "2", "--output", "json"]);
+    const ids = JSON.parse(json.stdout);
+    expect(ids).to.have.lengthOf(2);
+    expect(ids[0]).to.match(/^ID-\d{8}-[A-Z0-9]{12}$/);
+
+    const csv = await runCli(["--count", "2", "--output", "csv"]);
+    const lines = csv.stdout.trim().split("\n");
+    expect(lines[0]).to.equal("id");
+    expect(lines).to.have.lengthOf(3);
+  });
+
+  it("should validate IDs from the arguments", async function () {
+    const id = generateCustomId({ includeCheckBit: true })();
+    const invalid = id.slice(0, -1) + (id.endsWith("0") ? "1" : "0");
+    const { code, stdout } = await runCli([
+      "validate",
+      "--check-bit",
+      id,
+      invalid,
+    ]);
+    expect(code).to.equal(1);
+    expect(stdout).to.equal(`${id}\tvalid\n${invalid}\tinvalid\n`);
+  });
+
+  it("should validate IDs from stdin with the check algorithm", async function () {
+    const options = { includeCheckBit: true, checkAlgorithm: "luhn" };
+    const ids = generateCustomId(options).generateMany(3);
+    const { code, stdout } = await runCli(
+      [
+        "validate",
+        "--check-bit",
+        "--check-algorithm",
+        "luhn",
+        "--output",
+        "json",
+      ],
+      `${ids.join("\n")}\n`
+    );
+    expect(code).to.equal(0);
+    expect(JSON.parse(stdout)).to.deep.equal(
+      ids.map((id) => ({ id, valid: true }))
+    );
+  });
+
+  it("should validate the structure and signature of IDs from a config file", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-id-"));
+    const config = path.join(dir, "ids.json");
+    const options = {
+      prefix: "S",
+      includeCheckBit: true,
+      checkAlgorithm: "damm",
+      signing: { keys: { K1: "first key", K2: "second key" }, keyId: "K1" },
+    };
+    fs.writeFileSync(config, JSON.stringify(options));
+    try {
+      const id = generateCustomId(options)();
+      const unsigned = generateCustomId({
+        prefix: "S",
+        includeCheckBit: true,
+        checkAlgorithm: "damm",
+      })();
+      const forged = generateCustomId({
+        ...options,
+        signing: { keys: { K1: "other key" }, keyId: "K1" },
+      })();
+      const { code, stdout } = await runCli([
+        "validate",
+        "--config",
+        config,
+        id,
+        unsigned,
+        forged,
+      ]);
+      expect(code).to.equal(1);
+      expect(stdout).to.equal(
+        `${id}\tvalid\n${unsigned}\tinvalid\n${forged}\tinvalid\n`
+      );
+
+      const rotated = await runCli([
+        "--config",
+        config,
+        "--signing-key-id",
+        "K2",
+        "--signing-length",
+        "6",
+      ]);
+      expect(rotated.code).to.equal(0);
+      expect(rotated.stdout).to.match(/^S-\d{8}-[A-Z0-9]{12}-K2[A-Z0-9]{6}-/);
+
+      const parsed = await runCli(
+        ["parse", "--config", config, "--output", "csv", id],
+        ""
+      );
+      const [header, row] = parsed.stdout.trim().split("\n");
+      expect(header).to.equal(
+        "id,prefix,date,time,segments,postfix,checkBit,workerId,counter,keyId,signature"
+      );
+      expect(row.split(",").slice(-2)).to.deep.equal([
+        "K1",
+        parseCustomId(id, options).signature,
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should require signing keys in the config file for the signing flags", async function () {
+    const { code, stderr } = await runCli(["--signing-key-id", "K1"]);
+    expect(code).to.equal(2);
+    expect(stderr).to.equal(
+      "gen-id: --signing-key-id requires signing keys in the config file\n"
+    );
+  });
+
+  it("should output the worker ID and counter of parsed IDs as CSV", async function () {
+    const args = ["--worker-id", "7", "--timestamp"];
+    const id = (await runCli(args)).stdout.trim();
+    const { code, stdout } = await runCli([
+      "parse",
+      ...args,
+      "--output",
+      "csv",
+      id,
+    ]);
+    expect(code).to.equal(0);
+    expect(stdout.trim().split("\n")[1]).to.match(/,7,0,,$/);
+  });
+
+  it("should parse IDs", async function () {
+    const { code, stdout } = await runCli([
+      "parse",
+      "--timestamp",
+      "ID-20250207-123456-ABCDEFGHIJKL",
+    ]);
+    expect(code).to.equal(0);
+    expect(JSON.parse(stdout)).to.deep.equal({
+      id: "ID-20250207-123456-ABCDEFGHIJKL",
+      prefix: "ID",
+      date: "2025-02-07T12:34:56.000Z",
+      time: "123456",
+      segments: ["ABCDEFGHIJKL"],
+      postfix: null,
+      checkBit: null,
+    });
+  });
+
+  it("should generate and parse IDs with a format template", async function () {
+    const args = [
+      "--prefix",
+      "SITE",
+      "--format",
+      "{prefix}-R{rand:4}-{date:YYMM}",
+    ];
+    const generated = await runCli(["generate", ...args]);
+    expect(generated.stdout).to.match(/^SITE-R[A-Z0-9]{4}-\d{4}\n$/);
+
+    const { code, stdout } = await runCli([
+      "parse",
+      ...args,
+      "SITE-RAB12-2502",
+    ]);
+    expect(code).to.equal(0);
+    expect(JSON.parse(stdout)).to.include({
+      prefix: "SITE",
+      date: "2025-02-01T00:00:00.000Z",
+    });
+  });
+
+  it("should generate IDs with a time zone and timestamp options", async function () {
+    const { code, stdout } = await runCli([
+      "--timestamp",
+      "--time-zone",
+      "Pacific/Honolulu",
+      "--timestamp-precision",
+      "minutes",
+      "--timestamp-separator",
+      "T",
+    ]);
+    expect(code).to.equal(0);
+    expect(stdout).to.match(/^ID-\d{8}T\d{4}-[A-Z0-9]{12}\n$/);
+  });
+
+  it("should report IDs that cannot be parsed", async function () {
+    const { code, stdout, stderr } = await runCli(
+      ["parse", "--output", "csv"],
+      "XX-1\n"
+    );
+    expect(code).to.equal(1);
+    expect(stdout).to.equal(
+      "id,prefix,date,time,segments,postfix,checkBit,workerId,counter,keyId,signature\n"
+    );
+    expect(stderr).to.equal(
+      'gen-id: ID "XX-1" does not match the configured format\n'
+    );
+  });
+
+  it("should use a named configuration from a config file", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gen-id-"));
+    const config = path.join(dir, "ids.json");
+    fs.writeFileSync(
+      config,
+      JSON.stringify({
+        sample: { prefix: "S", includeCheckBit: true, checkAlgorithm: "damm" },
+        trip: { prefix: "T", includeDate: false },
+      })
+    );
+    try {
+      const sample = await runCli(["--config", config, "--name", "sample"]);
+      const id = sample.stdout.trim();
+      expect(id).to.match(/^S-\d{8}-[A-Z0-9]{12}-[A-Z0-9]$/);
+
+      const valid = await runCli([
+        "validate",
+        "--config",
+        config,
+        "--name",
+        "sample",
+        id,
+      ]);
+      expect(valid.code).to.equal(0);
+
+      const trip = await runCli([
+        "--config",
+        config,
+        "--name",
+        "trip",
+        "--prefix",
+        "TR",
+      ]);
+      expect(trip.stdout).to.match(/^TR-[A-Z0-9]{12}\n$/);
+
+      const missing = await runCli(["--config", config, "--name", "vessel"]);
+      expect(missing.code).to.equal(2);
+      expect(missing.stderr).to.equal(
+        `gen-id: Config file "${config}" has no configuration named "vessel"\n`
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should generate IDs with per-segment lengths", async function () {
+    const { code, stdout } = await runCli(["--segment-length", "4,12"]);
+    expect(code).to.equal(0);
+    expect(stdout).to.match(/^ID-\d{8}-[A-Z0-9]{4}-[A-Z0-9]{12}\n$/);
+  });
+
+  it("should generate IDs with a worker ID and counter", async function () {
+    const { code, stdout } = await runCli([
+      "--worker-id",
+      "42",
+      "--timestamp",
+      "--count",
+      "2",
+    ]);
+    expect(code).to.equal(0);
+    const ids = stdout.trim().split("\n");
+    ids.forEach((id) => expect(id).to.match(/^ID-\d{8}-\d{6}-16\d{3}-/));
+    expect(new Set(ids).size).to.equal(2);
+  });
+
+  it("should generate IDs with the worker ID and counter options", async function () {
+    const { code, stdout } = await runCli([
+      "--worker-id",
+      "7",
+      "--worker-id-length",
+      "1",
+      "--counter-length",
+      "2",
+      "--on-counter-exhausted",
+      "wait",
+      "--timestamp",
+      "--count",
+      "2",
+    ]);
+    expect(code).to.equal(0);
+    const ids = stdout.trim().split("\n");
+    expect(ids[0]).to.match(/^ID-\d{8}-\d{6}-700-[A-Z0-9]{12}$/);
+    expect(ids[1]).to.match(/^ID-\d{8}-\d{6}-70[01]-[A-Z0-9]{12}$/);
+
+    const invalid = await runCli([
+      "--worker-id",
+      "7",
+      "--on-counter-exhausted",
+      "wait",
+    ]);
+    expect(invalid.code).to.equal(2);
+    expect(invalid.stderr).to.match(/^gen-id: onCounterExhausted: "wait"/);
+  });
+
+  it("should reject the words of a custom blocklist", async function () {
+    const args = ["--seed", "1", "--segment-length", "2", "--count", "50"];
+    const unfiltered = await runCli([...args, "--min-entropy-bits", "none"]);
+    const blocked = unfiltered.stdout.match(/-([A-Z0-9]{2})\n/)[1];
+    const { code, stdout } = await runCli([
+      ...args,
+      "--min-entropy-bits",
+      "none",
+      "--blocklist",
+      `${blocked},ZZ`,
+    ]);
+    expect(code).to.equal(0);
+    const segments = stdout
+      .trim()
+      .split("\n")
+      .map((id) => id.slice(-2));
+    expect(segments).to.have.lengthOf(50);
+    expect(segments).to.not.include(blocked);
+    expect(segments).to.not.include("ZZ");
+  });
+
+  it("should report invalid options", async function () {
+    const { code, stderr } = await runCli(["--segment-length", "7"]);
+    expect(code).to.equal(2);
+    expect(stderr).to.equal(
+      "gen-id: The random segments have 36.2 bits of entropy, below the minimum of 39; use longer or more segments, a larger alphabet or a lower minEntropyBits\n"
+    );
+  });
+
+  it("should generate IDs with the numeric alphabet and a minimum entropy", async function () {
+    const numeric = await runCli(["--alphabet", "numeric"]);
+    expect(numeric.code).to.equal(0);
+    expect(numeric.stdout).to.match(/^ID-\d{8}-\d{12}\n$/);
+
+    const short = await runCli([
+      "--segment-length",
+      "6",
+      "--min-entropy-bits",
+      "none",
+    ]);
+    expect(short.code).to.equal(0);
+    expect(short.stdout).to.match(/^ID-\d{8}-[A-Z0-9]{6}\n$/);
+
+    const strict = await runCli(["--min-entropy-bits", "64"]);
+    expect(strict.code).to.equal(2);
+    expect(strict.stderr).to.match(/below the minimum of 64;/);
+
+    const invalid = await runCli(["--min-entropy-bits", "many"]);
+    expect(invalid.code).to.equal(2);
+    expect(invalid.stderr).to.equal(
+      "gen-id: --min-entropy-bits must be a non-negative number or none\n"
+    );
+  });
+
+  it("should print the usage", async function () {
+    const { code, stdout } = await runCli(["--help"]);
+    expect(code).to.equal(0);
+    expect(stdout).to.equal(`${run.usage}\n`);
+  });
+
+  it("should exit with a non-zero code from the command line", function () {
+    const bin = fileURLToPath(new URL("../bin/gen-id.js", import.meta.url));
+    const result = spawnSync(
+      process.execPath,
+      [bin, "validate", "--check-bit"],
+      {
+        input: "ID-20250207-ABCDEFGHIJKL-0\n",
+        encoding: "utf8",
+      }
+    );
+    expect(result.status).to.equal(1);
+    expect(result.stdout).to.equal("ID-20250207-ABCDEFGHIJKL-0\tinvalid\n");
+  });
+});
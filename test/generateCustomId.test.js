@@ -1,6 +1,42 @@
-import { describe, it, beforeAll } from "vitest";
+import { describe, it, beforeAll, afterEach, vi } from "vitest";
+import { spawnSync } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import { performance } from "perf_hooks";
-import { generateCustomId, validateCheckBit } from "../generateCustomId.js";
+import { PassThrough } from "stream";
+import {
+  capacityFor,
+  convertCustomId,
+  convertCustomIds,
+  createFileStore,
+  createIdRegistry,
+  createLruStore,
+  createSeededRandom,
+  createUniqueGenerator,
+  decodeId,
+  defaultBlocklist,
+  encodeId,
+  estimateCollisionProbability,
+  fromBytes,
+  fromUUID,
+  generateCustomId,
+  getIdTimestamp,
+  idIterator,
+  idRangeForDates,
+  isValidCustomId,
+  normalizeCustomId,
+  parseCustomId,
+  suggestCorrections,
+  toBytes,
+  toJsonSchema,
+  toRegExp,
+  toUUID,
+  validateCheckBit,
+  verifySignedId,
+} from "../generateCustomId.js";
+import { createIdStream } from "../stream.js";
 
 let expect;
 
@@ -281,26 +317,26 @@ describe("generateCustomId", function () {
 
   it("should throw an error for invalid segment length (7)", function () {
     expect(() => generateCustomId({ prefix: "ID", segmentLength: 7 })).to.throw(
-      "Segment length for 1 segments must be between 8 and 15"
+      "The random segments have 36.2 bits of entropy, below the minimum of 39"
     );
   });
 
-  it("should throw an error for invalid segment length (16)", function () {
+  it("should throw an error for invalid segment length (0)", function () {
     expect(() =>
-      generateCustomId({ prefix: "ID", segmentLength: 16 })
-    ).to.throw("Segment length for 1 segments must be between 8 and 15");
+      generateCustomId({ prefix: "ID", segmentLength: 0, minEntropyBits: 0 })
+    ).to.throw("Segment length must be a positive integer");
   });
 
   it("should throw an error for decimal segment length", function () {
     expect(() =>
       generateCustomId({ prefix: "ID", segmentLength: 10.5 })
-    ).to.throw("Segment length must be an integer");
+    ).to.throw("Segment length must be a positive integer");
   });
 
   it("should throw an error for string segment length", function () {
     expect(() =>
       generateCustomId({ prefix: "ID", segmentLength: "12" })
-    ).to.throw("Segment length must be an integer");
+    ).to.throw("Segment length must be a positive integer");
   });
 
   it("should measure the performance of the function", function () {
@@ -316,3 +352,2975 @@ describe("generateCustomId", function () {
     expect(duration).to.be.below(1000); // Ensure it runs within 1 second
   });
 });
+
+describe("checkAlgorithm", function () {
+  const algorithms = ["legacy", "iso7064", "luhn", "damm"];
+
+  algorithms.forEach((checkAlgorithm) => {
+    it(`should generate and validate a check bit with the "${checkAlgorithm}" algorithm`, function () {
+      const options = { includeCheckBit: true, checkAlgorithm };
+      const generateId = generateCustomId(options);
+      for (let i = 0; i < 100; i++) {
+        const id = generateId();
+        expect(id).to.match(/^ID-\d{8}-[A-Z0-9]{12}-[A-Z0-9]$/);
+        expect(validateCheckBit(id, options)).to.be.true;
+        expect(parseCustomId(id, options).checkBit).to.equal(id.slice(-1));
+      }
+    });
+  });
+
+  ["iso7064", "luhn", "damm"].forEach((checkAlgorithm) => {
+    it(`should detect single substitutions with the "${checkAlgorithm}" algorithm`, function () {
+      const options = { includeCheckBit: true, checkAlgorithm };
+      const id = generateCustomId(options)();
+      const alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+      for (let i = 12; i < 24; i++) {
+        for (const char of alphabet) {
+          if (char !== id[i]) {
+            const mistyped = id.slice(0, i) + char + id.slice(i + 1);
+            expect(validateCheckBit(mistyped, options)).to.be.false;
+          }
+        }
+      }
+    });
+
+    it(`should detect the adjacent transposition AB/BA with the "${checkAlgorithm}" algorithm`, function () {
+      const options = { includeCheckBit: true, checkAlgorithm };
+      const generateId = generateCustomId({
+        ...options,
+        prefix: "AB",
+        includeDate: false,
+      });
+      const id = generateId();
+      expect(validateCheckBit(id, options)).to.be.true;
+      expect(validateCheckBit(`BA${id.slice(2)}`, options)).to.be.false;
+    });
+  });
+
+  it("should not detect the adjacent transposition AB/BA with the legacy algorithm", function () {
+    const id = generateCustomId({
+      prefix: "AB",
+      includeDate: false,
+      includeCheckBit: true,
+    })();
+    expect(validateCheckBit(`BA${id.slice(2)}`)).to.be.true;
+  });
+
+  it("should detect every adjacent transposition of distinct characters with the damm algorithm", function () {
+    const options = { includeCheckBit: true, checkAlgorithm: "damm" };
+    const id = generateCustomId(options)();
+    for (let i = 12; i < 23; i++) {
+      if (id[i] !== id[i + 1]) {
+        const swapped = id.slice(0, i) + id[i + 1] + id[i] + id.slice(i + 2);
+        expect(validateCheckBit(swapped, options)).to.be.false;
+      }
+    }
+  });
+
+  it("should use the legacy algorithm by default", function () {
+    const id = generateCustomId({ includeCheckBit: true })();
+    expect(validateCheckBit(id)).to.be.true;
+    expect(validateCheckBit(id, { checkAlgorithm: "legacy" })).to.be.true;
+  });
+
+  it("should use the delimiter from the options to locate the check bit", function () {
+    const options = {
+      prefix: "ID_X",
+      delimiter: "-",
+      includeCheckBit: true,
+      checkAlgorithm: "damm",
+    };
+    const id = generateCustomId(options)();
+    expect(validateCheckBit(id, options)).to.be.true;
+  });
+
+  it("should accept a custom check algorithm function", function () {
+    const checkAlgorithm = (id) => (id.length % 10).toString();
+    const options = { includeCheckBit: true, checkAlgorithm };
+    const id = generateCustomId(options)();
+    expect(id.slice(-1)).to.equal("4");
+    expect(validateCheckBit(id, options)).to.be.true;
+  });
+
+  it("should throw an error for an unknown check algorithm", function () {
+    expect(() => generateCustomId({ checkAlgorithm: "crc" })).to.throw(
+      "Check algorithm must be a function or one of the following: legacy, iso7064, luhn, damm"
+    );
+  });
+});
+
+describe("alphabet", function () {
+  const alphabets = {
+    base36: /^[0-9A-Z]+$/,
+    crockford: /^[0-9A-HJKMNP-TV-Z]+$/,
+    hex: /^[0-9A-F]+$/,
+    numeric: /^[0-9]+$/,
+    unambiguous: /^[346789A-HJ-NP-RT-Y]+$/,
+  };
+
+  Object.entries(alphabets).forEach(([alphabet, regex]) => {
+    ["legacy", "iso7064", "luhn", "damm"].forEach((checkAlgorithm) => {
+      it(`should generate, validate and parse IDs with the "${alphabet}" alphabet and the "${checkAlgorithm}" algorithm`, function () {
+        const options = {
+          alphabet,
+          numSegments: 2,
+          segmentLength: 10,
+          includeCheckBit: true,
+          checkAlgorithm,
+        };
+        const generateId = generateCustomId(options);
+        for (let i = 0; i < 50; i++) {
+          const id = generateId();
+          const { segments, checkBit } = parseCustomId(id, options);
+          expect(segments.join("")).to.match(regex);
+          expect(checkBit).to.match(regex);
+          expect(validateCheckBit(id, options)).to.be.true;
+        }
+      });
+    });
+  });
+
+  it("should draw every base-36 character with equal probability", function () {
+    const generateId = generateCustomId({
+      prefix: null,
+      includeDate: false,
+      numSegments: 1,
+      segmentLength: 12,
+    });
+    const counts = {};
+    const iterations = 30000;
+    for (let i = 0; i < iterations; i++) {
+      for (const char of generateId()) {
+        counts[char] = (counts[char] || 0) + 1;
+      }
+    }
+    const expected = (iterations * 12) / 36;
+    expect(Object.keys(counts)).to.have.lengthOf(36);
+    Object.values(counts).forEach((count) => {
+      // Modulo bias would make 0-3 about 12% more likely than the rest
+      expect(Math.abs(count - expected) / expected).to.be.below(0.05);
+    });
+  });
+
+  it("should generate IDs from a custom alphabet", function () {
+    const options = { alphabet: "ACGT", segmentLength: 24, lowercase: true };
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^ID-\d{8}-[acgt]{24}$/);
+    expect(parseCustomId(id, options).segments[0]).to.equal(id.slice(12));
+  });
+
+  it("should require the same entropy from every alphabet", function () {
+    expect(() =>
+      generateCustomId({ alphabet: "hex", segmentLength: 9 })
+    ).to.throw(
+      "The random segments have 36.0 bits of entropy, below the minimum of 39"
+    );
+    expect(() =>
+      generateCustomId({ alphabet: "hex", segmentLength: 10, blocklist: null })
+    ).not.to.throw();
+    expect(() =>
+      generateCustomId({
+        alphabet: "hex",
+        segmentLength: 10,
+        minEntropyBits: 40,
+      })
+    ).not.to.throw();
+    expect(() =>
+      generateCustomId({
+        alphabet: "numeric",
+        numSegments: 4,
+        segmentLength: 5,
+      })
+    ).not.to.throw();
+  });
+
+  it("should accept the default segment length with every built-in alphabet", function () {
+    ["base36", "crockford", "hex", "numeric", "unambiguous"].forEach(
+      (alphabet) => {
+        expect(generateCustomId({ alphabet })()).to.match(/^ID-\d{8}-\w{12}$/);
+      }
+    );
+    expect(() =>
+      generateCustomId({ alphabet: "numeric", segmentLength: 11 })
+    ).to.throw(
+      "The random segments have 36.5 bits of entropy, below the minimum of 39"
+    );
+  });
+
+  it("should throw an error for an alphabet with duplicate characters", function () {
+    expect(() => generateCustomId({ alphabet: "ABCA" })).to.throw(
+      "Alphabet must not contain duplicate characters"
+    );
+    expect(() =>
+      generateCustomId({ alphabet: "ABab", lowercase: true })
+    ).to.throw("Alphabet must not contain duplicate characters");
+  });
+
+  it("should throw an error for an alphabet that is too short", function () {
+    expect(() => generateCustomId({ alphabet: "A" })).to.throw(
+      "Alphabet must contain between 2 and 256 characters"
+    );
+  });
+
+  it("should throw an error for an alphabet containing the delimiter", function () {
+    expect(() =>
+      generateCustomId({ alphabet: "AB-CDEFGH", segmentLength: 15 })
+    ).to.throw('Alphabet must not contain the delimiter "-"');
+  });
+
+  it("should throw an error for a check algorithm that does not support the alphabet", function () {
+    expect(() =>
+      generateCustomId({
+        alphabet: "ABCDEF",
+        segmentLength: 20,
+        checkAlgorithm: "damm",
+      })
+    ).to.throw(
+      "The damm check algorithm is not available for a 6-character alphabet"
+    );
+    expect(() =>
+      generateCustomId({
+        alphabet: "ABCDEFG",
+        segmentLength: 20,
+        checkAlgorithm: "iso7064",
+      })
+    ).to.throw(
+      "The iso7064 check algorithm requires an alphabet with an even number of characters"
+    );
+  });
+});
+
+describe("monotonic", function () {
+  afterEach(function () {
+    vi.useRealTimers();
+  });
+
+  it("should generate IDs whose string order equals creation order over a burst", function () {
+    const generateId = generateCustomId({
+      monotonic: true,
+      numSegments: 4,
+      segmentLength: 3,
+      includeCheckBit: true,
+    });
+    const ids = [];
+    for (let i = 0; i < 10000; i++) {
+      ids.push(generateId());
+    }
+    expect([...ids].sort()).to.deep.equal(ids);
+    expect(new Set(ids).size).to.equal(ids.length);
+  });
+
+  it("should keep the order across many milliseconds", function () {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-02-07T12:00:00.000Z"));
+    const generateId = generateCustomId({ monotonic: true, lowercase: true });
+    const ids = [];
+    for (let i = 0; i < 5000; i++) {
+      if (i % 7 === 0) {
+        vi.advanceTimersByTime(1);
+      }
+      ids.push(generateId());
+    }
+    expect([...ids].sort()).to.deep.equal(ids);
+  });
+
+  it("should increment the random part within the same millisecond", function () {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-02-07T12:00:00.000Z"));
+    const options = {
+      monotonic: true,
+      alphabet: "hex",
+      segmentLength: 16,
+      blocklist: null,
+    };
+    const generateId = generateCustomId(options);
+    const first = parseCustomId(generateId(), options);
+    const second = parseCustomId(generateId(), options);
+    expect(second.time).to.equal(first.time);
+    expect(BigInt(`0x${second.segments[0]}`)).to.equal(
+      BigInt(`0x${first.segments[0]}`) + 1n
+    );
+  });
+
+  it("should reuse the last time when the clock goes backwards", function () {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-02-07T12:00:00.000Z"));
+    const options = { monotonic: true };
+    const generateId = generateCustomId(options);
+    const first = generateId();
+    vi.setSystemTime(new Date("2025-02-07T11:59:59.000Z"));
+    const second = generateId();
+    expect(second > first).to.be.true;
+    expect(parseCustomId(second, options).date.toISOString()).to.equal(
+      "2025-02-07T12:00:00.000Z"
+    );
+  });
+
+  it("should encode the time with millisecond precision", function () {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-02-07T12:34:56.789Z"));
+    const options = { monotonic: true, alphabet: "crockford", delimiter: null };
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^ID[0-9A-HJKMNP-TV-Z]{10}[0-9A-HJKMNP-TV-Z]{12}$/);
+    expect(parseCustomId(id, options).date.toISOString()).to.equal(
+      "2025-02-07T12:34:56.789Z"
+    );
+  });
+
+  it("should throw an error when combined with a timestamp", function () {
+    expect(() =>
+      generateCustomId({ monotonic: true, useTimestamp: true })
+    ).to.throw("Monotonic IDs replace the date with their own time component");
+  });
+
+  it("should throw an error for an alphabet that is not in ascending order", function () {
+    expect(() =>
+      generateCustomId({
+        monotonic: true,
+        alphabet: "ZYXWVUTSRQPONMLKJIHGFEDCBA",
+      })
+    ).to.throw(
+      "Monotonic IDs require an alphabet in ascending character order"
+    );
+  });
+});
+
+describe("deterministic generation", function () {
+  const fixedOptions = () => ({
+    random: createSeededRandom("x"),
+    now: () => new Date("2025-02-07T00:00:00Z"),
+    includeCheckBit: true,
+  });
+
+  it("should generate the same sequence of IDs for the same seed and clock", function () {
+    const generateId = generateCustomId(fixedOptions());
+    expect(generateId()).to.equal("ID-20250207-4NLSJ8BFM7FR-W");
+    expect(generateId()).to.equal("ID-20250207-ID8TVWGL1TAF-Q");
+
+    const generateAgain = generateCustomId(fixedOptions());
+    expect(generateAgain()).to.equal("ID-20250207-4NLSJ8BFM7FR-W");
+  });
+
+  it("should accept a clock returning epoch milliseconds", function () {
+    const generateId = generateCustomId({
+      now: () => Date.UTC(2025, 1, 7, 12, 34, 56),
+      useTimestamp: true,
+    });
+    expect(generateId()).to.match(/^ID-20250207-123456-[A-Z0-9]{12}$/);
+  });
+
+  it("should use the clock for monotonic IDs", function () {
+    const options = { monotonic: true, now: () => 1738931696789 };
+    const id = generateCustomId(options)();
+    expect(parseCustomId(id, options).date.toISOString()).to.equal(
+      "2025-02-07T12:34:56.789Z"
+    );
+  });
+
+  it("should throw an error when monotonic random segments overflow", function () {
+    const generateId = generateCustomId({
+      monotonic: true,
+      now: () => 0,
+      random: (length) => new Uint8Array(length).fill(35),
+    });
+    expect(generateId()).to.equal("ID-0000000000-ZZZZZZZZZZZZ");
+    expect(() => generateId()).to.throw(
+      "Monotonic random component overflowed within the same millisecond"
+    );
+  });
+
+  it("should produce different sequences for different seeds", function () {
+    const first = createSeededRandom(1)(32);
+    const second = createSeededRandom(2)(32);
+    expect(first).to.have.lengthOf(32);
+    expect(Array.from(first)).not.to.deep.equal(Array.from(second));
+    expect(Array.from(createSeededRandom(1)(32))).to.deep.equal(
+      Array.from(first)
+    );
+  });
+
+  it("should throw an error for an invalid seed", function () {
+    expect(() => createSeededRandom(1.5)).to.throw(
+      "Seed must be an integer or a string"
+    );
+  });
+
+  it("should throw an error for an invalid clock", function () {
+    expect(() => generateCustomId({ now: 0 })).to.throw(
+      'The "now" option must be a function returning a Date or epoch milliseconds'
+    );
+    expect(() => generateCustomId({ now: () => "today" })()).to.throw(
+      'The "now" option must return a valid Date or epoch milliseconds'
+    );
+  });
+
+  it("should throw an error for an invalid random source", function () {
+    expect(() => generateCustomId({ random: "bytes" })).to.throw(
+      'The "random" option must be a function returning random bytes'
+    );
+  });
+});
+
+describe("batch generation", function () {
+  it("should generate the requested number of unique IDs", function () {
+    const generateId = generateCustomId({ includeCheckBit: true });
+    const ids = generateId.generateMany(5000);
+    expect(ids).to.have.lengthOf(5000);
+    expect(new Set(ids).size).to.equal(5000);
+    ids.forEach((id) => {
+      expect(id).to.match(/^ID-\d{8}-[A-Z0-9]{12}-[A-Z0-9]$/);
+      expect(validateCheckBit(id)).to.be.true;
+    });
+  });
+
+  it("should produce the same IDs as the per-ID path", function () {
+    const options = () => ({
+      random: createSeededRandom(7),
+      now: () => Date.UTC(2025, 1, 7),
+      numSegments: 3,
+      segmentLength: 6,
+    });
+    const single = generateCustomId(options());
+    const batched = generateCustomId(options());
+    const expected = [single(), single(), single()];
+    expect(batched.generateMany(3)).to.deep.equal(expected);
+  });
+
+  it("should lazily generate IDs from an iterator", function () {
+    const generateId = generateCustomId({ monotonic: true });
+    const ids = [...generateId.iterate(100)];
+    expect(ids).to.have.lengthOf(100);
+    expect([...ids].sort()).to.deep.equal(ids);
+
+    const unlimited = generateId.iterate();
+    expect(unlimited.next().value).to.be.a("string");
+    expect(unlimited.next().done).to.be.false;
+  });
+
+  it("should format the date again when the time moves to the next day", function () {
+    let time = Date.UTC(2025, 1, 7, 23, 59, 59, 999);
+    const generateId = generateCustomId({
+      useTimestamp: true,
+      now: () => time,
+    });
+    expect(generateId()).to.match(/^ID-20250207-235959-/);
+    expect(generateId()).to.match(/^ID-20250207-235959-/);
+    time += 1;
+    expect(generateId()).to.match(/^ID-20250208-000000-/);
+  });
+
+  it("should throw an error for an invalid count", function () {
+    const generateId = generateCustomId();
+    expect(() => generateId.generateMany(-1)).to.throw(
+      "Count must be a non-negative integer"
+    );
+    expect(() => generateId.iterate(1.5)).to.throw(
+      "Count must be a non-negative integer"
+    );
+  });
+});
+
+describe("createUniqueGenerator", function () {
+  // Returns a random source that fills every request with the next value
+  const sequence = (...values) => {
+    let call = 0;
+    return (length) =>
+      new Uint8Array(length).fill(values[Math.min(call++, values.length - 1)]);
+  };
+
+  it("should regenerate an ID on collision and count the collision", function () {
+    const generateId = createUniqueGenerator({
+      includeDate: false,
+      random: sequence(1, 1, 2),
+    });
+    expect(generateId()).to.equal("ID-111111111111");
+    expect(generateId()).to.equal("ID-222222222222");
+    expect(generateId.stats).to.deep.equal({
+      generated: 2,
+      collisions: 1,
+      exhausted: 0,
+    });
+  });
+
+  it("should throw an error when the retries are exhausted", function () {
+    const generateId = createUniqueGenerator(
+      { includeDate: false, random: sequence(1) },
+      { maxRetries: 3 }
+    );
+    generateId();
+    expect(() => generateId()).to.throw(
+      "Could not generate a unique ID after 3 retries (4 collisions so far)"
+    );
+    expect(generateId.stats).to.deep.equal({
+      generated: 1,
+      collisions: 4,
+      exhausted: 1,
+    });
+  });
+
+  it("should generate unique IDs for a short configuration", function () {
+    const generateId = createUniqueGenerator({
+      numSegments: 4,
+      segmentLength: 3,
+    });
+    const ids = new Set();
+    for (let i = 0; i < 10000; i++) {
+      ids.add(generateId());
+    }
+    expect(ids.size).to.equal(10000);
+    expect(generateId.stats.generated).to.equal(10000);
+  });
+
+  it("should evict the least recently used ID from the LRU store", function () {
+    const store = createLruStore({ maxSize: 2 });
+    store.add("A");
+    store.add("B");
+    expect(store.has("A")).to.be.true;
+    store.add("C");
+    expect(store.has("B")).to.be.false;
+    expect(store.has("A")).to.be.true;
+    expect(store.has("C")).to.be.true;
+    expect(store.size).to.equal(2);
+  });
+
+  it("should persist IDs in the file store", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "custom-id-"));
+    const file = path.join(dir, "ids.txt");
+    try {
+      const store = createFileStore(file);
+      expect(store.then).to.be.undefined;
+      const generateId = createUniqueGenerator(
+        { includeDate: false, random: sequence(1, 2) },
+        { store }
+      );
+      expect(generateId()).to.equal("ID-111111111111");
+      generateId();
+      expect(fs.readFileSync(file, "utf8")).to.equal(
+        "ID-111111111111\nID-222222222222\n"
+      );
+
+      const reopened = createFileStore(file);
+      expect(reopened.has("ID-111111111111")).to.be.true;
+      expect(reopened.size).to.equal(2);
+      const generateAgain = createUniqueGenerator(
+        { includeDate: false, random: sequence(1, 2, 3) },
+        { store: reopened }
+      );
+      expect(generateAgain()).to.equal("ID-333333333333");
+      expect(generateAgain.stats.collisions).to.equal(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should support an asynchronous store", async function () {
+    const seen = new Set(["ID-111111111111"]);
+    const store = {
+      has: async (id) => seen.has(id),
+      add: async (id) => {
+        seen.add(id);
+      },
+    };
+    const generateId = createUniqueGenerator(
+      { includeDate: false, random: sequence(1, 2) },
+      { store }
+    );
+    const id = generateId();
+    expect(id).to.be.instanceOf(Promise);
+    expect(await id).to.equal("ID-222222222222");
+    expect(seen.has("ID-222222222222")).to.be.true;
+    expect(generateId.stats.collisions).to.equal(1);
+  });
+
+  it("should reject when the retries of an asynchronous store are exhausted", async function () {
+    const store = { has: async () => true, add: async () => {} };
+    const generateId = createUniqueGenerator({}, { store, maxRetries: 2 });
+    let error;
+    try {
+      await generateId();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      "Could not generate a unique ID after 2 retries (3 collisions so far)"
+    );
+  });
+
+  it("should throw an error for an invalid store", function () {
+    expect(() =>
+      createUniqueGenerator({}, { store: { has: () => false } })
+    ).to.throw("Store must have has(id) and add(id) methods");
+  });
+
+  it("should throw an error for invalid options", function () {
+    expect(() => createUniqueGenerator({}, { maxRetries: -1 })).to.throw(
+      "Maximum retries must be a non-negative integer"
+    );
+    expect(() => createUniqueGenerator({ segmentLength: 7 })).to.throw(
+      "The random segments have 36.2 bits of entropy, below the minimum of 39"
+    );
+    expect(() => createLruStore({ maxSize: 0 })).to.throw(
+      "Maximum store size must be a positive integer"
+    );
+  });
+});
+
+describe("parseCustomId", function () {
+  const segmentLengthRanges = {
+    1: { min: 8, max: 15 },
+    2: { min: 5, max: 10 },
+    3: { min: 4, max: 8 },
+    4: { min: 3, max: 6 },
+  };
+  const delimiters = ["-", "_", "|", ".", "#", null];
+  const variants = {
+    "no date": { includeDate: false },
+    date: { includeDate: true },
+    "full timestamp": { useTimestamp: true },
+    "2-digit year": { useTwoDigitYear: true },
+    "full timestamp and 2-digit year": {
+      useTimestamp: true,
+      useTwoDigitYear: true,
+    },
+    "local time and 2-digit year": {
+      useTimestamp: true,
+      useLocalTime: true,
+      useTwoDigitYear: true,
+    },
+    "full year and local time": { useTimestamp: true, useLocalTime: true },
+    "lowercase random segment": { lowercase: true },
+    "postfix and check bit": { postfix: "POST", includeCheckBit: true },
+    "no delimiter and check bit": { delimiter: null, includeCheckBit: true },
+    ...Object.fromEntries(
+      delimiters.map((delimiter) => [`delimiter "${delimiter}"`, { delimiter }])
+    ),
+  };
+
+  Object.keys(segmentLengthRanges).forEach((numSegments) => {
+    const { min, max } = segmentLengthRanges[numSegments];
+    for (let length = min; length <= max; length++) {
+      Object.entries(variants).forEach(([name, variant]) => {
+        it(`should round-trip an ID with ${numSegments} segment(s), segment length ${length}, and ${name}`, function () {
+          const options = {
+            prefix: "ID",
+            segmentLength: length,
+            numSegments: parseInt(numSegments),
+            ...variant,
+          };
+          const before = Math.floor(Date.now() / 1000) * 1000;
+          const id = generateCustomId(options)();
+          const after = Date.now();
+          const parsed = parseCustomId(id, options);
+          const delimiterChar =
+            options.delimiter === null ? "" : options.delimiter ?? "-";
+
+          expect(parsed.prefix).to.equal("ID");
+          expect(parsed.segments).to.have.lengthOf(parseInt(numSegments));
+          parsed.segments.forEach((segment) => {
+            expect(segment).to.have.lengthOf(length);
+          });
+          expect(parsed.postfix).to.equal(options.postfix ?? null);
+          expect(parsed.checkBit === null).to.equal(!options.includeCheckBit);
+
+          if (options.includeDate === false) {
+            expect(parsed.date).to.be.null;
+            expect(parsed.time).to.be.null;
+          } else if (options.useTimestamp) {
+            expect(parsed.time).to.match(/^\d{6}$/);
+            expect(parsed.date.getTime()).to.be.within(before, after);
+          } else {
+            expect(parsed.time).to.be.null;
+            expect(after - parsed.date.getTime()).to.be.within(
+              0,
+              24 * 60 * 60 * 1000
+            );
+          }
+
+          expect(id.includes(parsed.segments.join(delimiterChar))).to.be.true;
+        });
+      });
+    }
+  });
+
+  it("should parse an ID whose prefix and postfix contain the delimiter", function () {
+    const options = { prefix: "A-B", postfix: "X-Y", includeCheckBit: true };
+    const id = generateCustomId(options)();
+    const parsed = parseCustomId(id, options);
+    expect(parsed.prefix).to.equal("A-B");
+    expect(parsed.postfix).to.equal("X-Y");
+    expect(parsed.segments[0]).to.match(/^[A-Z0-9]{12}$/);
+  });
+
+  it("should parse an ID without a prefix", function () {
+    const options = { prefix: null, numSegments: 2, segmentLength: 5 };
+    const parsed = parseCustomId("20250207-7KXG1-L89Q2", options);
+    expect(parsed.prefix).to.be.null;
+    expect(parsed.segments).to.deep.equal(["7KXG1", "L89Q2"]);
+    expect(parsed.date.toISOString()).to.equal("2025-02-07T00:00:00.000Z");
+  });
+
+  it("should parse the date and time of a UTC timestamp", function () {
+    const options = { useTimestamp: true, delimiter: null };
+    const parsed = parseCustomId("ID20250207123456ABCDEFGHIJKL", options);
+    expect(parsed.date.toISOString()).to.equal("2025-02-07T12:34:56.000Z");
+    expect(parsed.time).to.equal("123456");
+    expect(parsed.segments).to.deep.equal(["ABCDEFGHIJKL"]);
+  });
+
+  it("should parse a local timestamp with a 2-digit year", function () {
+    const options = {
+      useTimestamp: true,
+      useLocalTime: true,
+      useTwoDigitYear: true,
+    };
+    const parsed = parseCustomId("ID-250207-123456-ABCDEFGHIJKL", options);
+    expect(parsed.date.getTime()).to.equal(
+      new Date(2025, 1, 7, 12, 34, 56).getTime()
+    );
+  });
+
+  it("should throw an error for an ID that does not match the configuration", function () {
+    expect(() =>
+      parseCustomId("ID-20250207-ABCDEFGHIJK", { segmentLength: 12 })
+    ).to.throw(
+      'ID "ID-20250207-ABCDEFGHIJK" does not match the configured format'
+    );
+  });
+
+  it("should throw an error for an ID with the wrong prefix", function () {
+    expect(() => parseCustomId("XX-20250207-ABCDEFGHIJKL")).to.throw(
+      "does not match the configured format"
+    );
+  });
+
+  it("should throw an error for an invalid date", function () {
+    expect(() => parseCustomId("ID-20251302-ABCDEFGHIJKL")).to.throw(
+      'Invalid date component "20251302"'
+    );
+  });
+
+  it("should throw an error for an invalid check bit", function () {
+    const options = { includeCheckBit: true };
+    const id = generateCustomId(options)();
+    const checkBit = id.slice(-1) === "0" ? "1" : "0";
+    expect(() => parseCustomId(id.slice(0, -1) + checkBit, options)).to.throw(
+      "has an invalid check bit"
+    );
+  });
+
+  it("should throw an error for invalid options", function () {
+    expect(() =>
+      parseCustomId("ID-20250207-ABCDEFGHIJKL", { segmentLength: 7 })
+    ).to.throw(
+      "The random segments have 36.2 bits of entropy, below the minimum of 39"
+    );
+  });
+});
+
+describe("format", function () {
+  const fixedNow = () => new Date("2025-02-07T12:34:56.789Z");
+
+  it("should generate IDs from a template", function () {
+    const generateId = generateCustomId({
+      prefix: "SITE",
+      format: "{prefix}-R{rand:4}-{date:YYMM}",
+      now: fixedNow,
+    });
+    expect(generateId()).to.match(/^SITE-R[A-Z0-9]{4}-2502$/);
+  });
+
+  it("should format the date and time fields", function () {
+    const generateId = generateCustomId({
+      format: "{date:YYYY-MM-DD}T{time:HH:mm:ss.SSS}_{rand:6}",
+      now: fixedNow,
+    });
+    expect(generateId()).to.match(/^2025-02-07T12:34:56\.789_[A-Z0-9]{6}$/);
+  });
+
+  it("should copy literals and escaped braces", function () {
+    const generateId = generateCustomId({
+      format: "{literal:rand:4}{{x}}-{rand:3}",
+    });
+    expect(generateId()).to.match(/^rand:4\{x\}-[A-Z0-9]{3}$/);
+  });
+
+  it("should generate the same IDs as the equivalent layout options", function () {
+    const layouts = [
+      [{}, "{prefix}-{date:YYYYMMDD}-{rand:12}"],
+      [
+        {
+          useTimestamp: true,
+          useTwoDigitYear: true,
+          numSegments: 2,
+          segmentLength: 5,
+          delimiter: "_",
+          postfix: "X",
+          includeCheckBit: true,
+        },
+        "{prefix}_{date:YYMMDD}_{time:HHmmss}_{rand:5}_{rand:5}_{postfix}_{check}",
+      ],
+      [
+        {
+          prefix: null,
+          includeDate: false,
+          delimiter: null,
+          includeCheckBit: true,
+        },
+        "{rand:12}{check}",
+      ],
+    ];
+    layouts.forEach(([layout, format]) => {
+      const { prefix, postfix } = layout;
+      const shared = { prefix, postfix, now: fixedNow };
+      const fromLayout = generateCustomId({
+        ...layout,
+        ...shared,
+        random: createSeededRandom(1),
+      });
+      const fromFormat = generateCustomId({
+        ...shared,
+        format,
+        random: createSeededRandom(1),
+      });
+      expect(fromFormat.generateMany(5)).to.deep.equal(
+        fromLayout.generateMany(5)
+      );
+    });
+  });
+
+  it("should compute a check bit in the middle of the ID over the other characters", function () {
+    const options = { format: "{rand:8}{check}-{date:YYYYMMDD}" };
+    const id = generateCustomId(options)();
+    const [head, date] = id.split("-");
+    expect(
+      validateCheckBit(`${head.slice(0, 8)}-${date}-${head.slice(-1)}`, {
+        delimiter: "-",
+      })
+    ).to.be.true;
+    const parsed = parseCustomId(id, options);
+    expect(parsed.checkBit).to.equal(head.slice(-1));
+    expect(parsed.segments).to.deep.equal([head.slice(0, 8)]);
+    expect(parsed.date.toISOString().slice(0, 10).replace(/-/g, "")).to.equal(
+      date
+    );
+
+    const wrongCheckBit = head.slice(-1) === "0" ? "1" : "0";
+    expect(() =>
+      parseCustomId(`${head.slice(0, 8)}${wrongCheckBit}-${date}`, options)
+    ).to.throw("has an invalid check bit");
+  });
+
+  it("should parse an ID with the date after the random segment", function () {
+    const options = {
+      prefix: "SITE",
+      format: "{prefix}-R{rand:4}-{date:YYMM}",
+    };
+    const parsed = parseCustomId("SITE-RAB12-2502", options);
+    expect(parsed).to.deep.equal({
+      prefix: "SITE",
+      date: new Date("2025-02-01T00:00:00.000Z"),
+      time: null,
+      segments: ["AB12"],
+      postfix: null,
+      checkBit: null,
+    });
+  });
+
+  it("should round-trip the date and time with milliseconds", function () {
+    const options = {
+      format: "{rand:4}.{date:YYMMDD}.{time:HHmmssSSS}",
+      now: fixedNow,
+    };
+    const parsed = parseCustomId(generateCustomId(options)(), options);
+    expect(parsed.date.toISOString()).to.equal("2025-02-07T12:34:56.789Z");
+    expect(parsed.time).to.equal("123456789");
+  });
+
+  it("should throw an error for an invalid date in a template", function () {
+    expect(() =>
+      parseCustomId("X-2513", { format: "X-{date:YYMM}{rand:2}" })
+    ).to.throw("does not match the configured format");
+    expect(() =>
+      parseCustomId("2513-AB", { format: "{date:YYMM}-{rand:2}" })
+    ).to.throw('Invalid date component "2513"');
+  });
+
+  it("should throw an error for an invalid template", function () {
+    const cases = {
+      "{rand:4": 'Unclosed "{" at position 0 of format "{rand:4"',
+      "{rand:4}}": 'Unexpected "}" at position 8',
+      "{rand:4}{foo}": "Unknown token {foo}",
+      "{rand:0}": "The {rand:N} token requires a positive length, got {rand:0}",
+      "{rand:x}": "The {rand:N} token requires a positive length",
+      "{date:YYMM}": "must contain at least one {rand:N} token",
+      "{rand:4}{check}{check}": "must not contain more than one {check} token",
+      "{rand:4}{date}": "The {date} token requires a pattern",
+      "{rand:4}{date:YYQQ}": 'Unknown character "Q" in the {date:YYQQ} pattern',
+      "{rand:4}{postfix}":
+        "Format contains {postfix} but the postfix option is null",
+      "{rand:4}{check:x}": "The {check} token does not take an argument",
+    };
+    Object.entries(cases).forEach(([format, message]) => {
+      expect(() => generateCustomId({ format })).to.throw(message);
+    });
+    expect(() => generateCustomId({ format: 42 })).to.throw(
+      "Format must be a string or null"
+    );
+  });
+
+  it("should not apply the segment length ranges to templates", function () {
+    const generateId = generateCustomId({
+      alphabet: "numeric",
+      format: "{rand:4}-{rand:4}",
+    });
+    expect(generateId()).to.match(/^\d{4}-\d{4}$/);
+  });
+
+  it("should throw an error when combined with layout options", function () {
+    expect(() =>
+      generateCustomId({ format: "{rand:4}", numSegments: 2, monotonic: true })
+    ).to.throw(
+      "Format cannot be combined with the layout options numSegments, monotonic"
+    );
+  });
+});
+
+describe("collision probability", function () {
+  it("should estimate the probability with the birthday bound", function () {
+    expect(
+      estimateCollisionProbability(
+        { segmentLength: 8, blocklist: null },
+        1_000_000
+      )
+    ).to.be.closeTo(0.1624, 0.0001);
+    expect(
+      estimateCollisionProbability({ blocklist: null }, 1_000_000)
+    ).to.be.closeTo(1.0552e-7, 1e-11);
+    expect(estimateCollisionProbability({}, 0)).to.equal(0);
+    expect(estimateCollisionProbability({}, 1)).to.equal(0);
+  });
+
+  it("should derive the keyspace from the segments and alphabet", function () {
+    const twoSegments = estimateCollisionProbability(
+      { numSegments: 2, segmentLength: 6 },
+      10_000
+    );
+    expect(twoSegments).to.equal(
+      estimateCollisionProbability({ segmentLength: 12 }, 10_000)
+    );
+    const hex = estimateCollisionProbability(
+      { alphabet: "hex", segmentLength: 16, blocklist: null },
+      10_000
+    );
+    expect(hex).to.be.closeTo(
+      -Math.expm1((-10_000 * 9_999) / 2 / 2 ** 64),
+      1e-20
+    );
+    expect(
+      estimateCollisionProbability(
+        { format: "{date:YYMM}-{rand:4}", blocklist: null },
+        1_000
+      )
+    ).to.be.closeTo(0.2572, 0.0001);
+  });
+
+  it("should return the capacity for a target probability", function () {
+    const options = { segmentLength: 8, blocklist: null };
+    const capacity = capacityFor(options, 1e-6);
+    expect(capacity).to.equal(2375);
+    expect(capacityFor({ segmentLength: 8 }, 1e-6)).to.equal(2371);
+    expect(estimateCollisionProbability(options, capacity)).to.be.at.most(1e-6);
+    expect(estimateCollisionProbability(options, capacity + 1)).to.be.above(
+      1e-6
+    );
+  });
+
+  it("should spread the count over the periods of the window", function () {
+    const day = 86_400_000;
+    const options = { segmentLength: 8, blocklist: null };
+    expect(
+      estimateCollisionProbability(options, 2375, { window: day })
+    ).to.equal(estimateCollisionProbability(options, 2375));
+    expect(
+      estimateCollisionProbability(options, 7 * 2375, { window: 7 * day })
+    ).to.be.closeTo(7 * estimateCollisionProbability(options, 2375), 1e-9);
+    expect(
+      estimateCollisionProbability({ ...options, useTimestamp: true }, 86_400, {
+        window: day,
+      })
+    ).to.equal(0);
+    const capacity = capacityFor(options, 1e-6, { window: 7 * day });
+    expect(capacity).to.be.closeTo(Math.sqrt(7) * 2375, 10);
+    expect(
+      estimateCollisionProbability(options, capacity, { window: 7 * day })
+    ).to.be.at.most(1e-6);
+    expect(
+      estimateCollisionProbability(options, capacity + 1, { window: 7 * day })
+    ).to.be.above(1e-6);
+  });
+
+  it("should ignore the window without a date or time", function () {
+    const options = { includeDate: false, segmentLength: 8 };
+    expect(
+      estimateCollisionProbability(options, 10_000, { window: 86_400_000 })
+    ).to.equal(estimateCollisionProbability(options, 10_000));
+    expect(capacityFor(options, 1e-6, { window: 86_400_000 })).to.equal(
+      capacityFor(options, 1e-6)
+    );
+  });
+
+  it("should treat layouts with a worker ID as collision-free", function () {
+    expect(estimateCollisionProbability({ workerId: 3 }, 1_000_000)).to.equal(
+      0
+    );
+    expect(capacityFor({ workerId: 3 }, 1e-6)).to.equal(Infinity);
+  });
+
+  it("should throw an error for an invalid count or target probability", function () {
+    expect(() => estimateCollisionProbability({}, -1)).to.throw(
+      "Count must be a non-negative integer"
+    );
+    [0, 1, "0.5", NaN].forEach((targetProbability) => {
+      expect(() => capacityFor({}, targetProbability)).to.throw(
+        "Target probability must be between 0 and 1"
+      );
+    });
+    [0, -1, "1000", NaN].forEach((window) => {
+      expect(() => estimateCollisionProbability({}, 2, { window })).to.throw(
+        "Window must be a positive number of milliseconds"
+      );
+      expect(() => capacityFor({}, 0.5, { window })).to.throw(
+        "Window must be a positive number of milliseconds"
+      );
+    });
+  });
+
+  it("should throw an error for a configuration below the minimum entropy", function () {
+    expect(() =>
+      generateCustomId({ segmentLength: 8, minEntropyBits: 64 })
+    ).to.throw(
+      "The random segments have 41.4 bits of entropy, below the minimum of 64"
+    );
+    expect(() =>
+      generateCustomId({ segmentLength: 13, minEntropyBits: 64 })
+    ).to.not.throw();
+    expect(() =>
+      generateCustomId({ segmentLength: 8, minEntropyBits: 41.4 })
+    ).to.throw(
+      "The random segments have 41.36 bits of entropy, below the minimum of 41.4"
+    );
+    expect(() => generateCustomId({ minEntropyBits: -1 })).to.throw(
+      "Minimum entropy bits must be a non-negative number or null"
+    );
+  });
+});
+
+describe("isValidCustomId", function () {
+  const configurations = {
+    default: {},
+    "timestamp and check bit": { useTimestamp: true, includeCheckBit: true },
+    "lowercase, postfix and no delimiter": {
+      lowercase: true,
+      postfix: "X",
+      delimiter: null,
+    },
+    "multiple segments and crockford": {
+      numSegments: 3,
+      segmentLength: 5,
+      alphabet: "crockford",
+      delimiter: "_",
+    },
+    monotonic: { monotonic: true, includeCheckBit: true },
+    format: { prefix: "SITE", format: "{prefix}-R{rand:4}-{date:YYMM}{check}" },
+  };
+
+  Object.entries(configurations).forEach(([name, options]) => {
+    it(`should accept generated IDs and match them with toRegExp and toJsonSchema for ${name}`, function () {
+      const regExp = toRegExp(options);
+      const schema = toJsonSchema(options);
+      generateCustomId(options)
+        .generateMany(20)
+        .forEach((id) => {
+          expect(isValidCustomId(id, options)).to.be.true;
+          expect(regExp.test(id)).to.be.true;
+          expect(new RegExp(schema.pattern, "u").test(id)).to.be.true;
+          expect(id).to.have.lengthOf(schema.minLength);
+          expect(id).to.have.lengthOf(schema.maxLength);
+        });
+    });
+  });
+
+  it("should reject IDs that do not match the structure", function () {
+    const options = { includeCheckBit: true };
+    const id = generateCustomId(options)();
+    const wrongCheckBit = id.slice(0, -1) + (id.endsWith("0") ? "1" : "0");
+    [
+      wrongCheckBit,
+      id.replace("ID", "XX"),
+      id.replace("-", "_"),
+      id.toLowerCase(),
+      id.slice(0, 14) + id.slice(15),
+      "ID-20251302-ABCDEFGHIJKL-0",
+      "",
+    ].forEach((invalid) => {
+      expect(isValidCustomId(invalid, options)).to.be.false;
+    });
+    expect(isValidCustomId(42, options)).to.be.false;
+  });
+
+  it("should reject IDs with a different delimiter that validateCheckBit misreads", function () {
+    const options = {
+      delimiter: "_",
+      includeDate: false,
+      includeCheckBit: true,
+    };
+    const id = generateCustomId(options)();
+    expect(isValidCustomId(id.replace("_", "-"), options)).to.be.false;
+  });
+
+  it("should validate IDs without a check bit", function () {
+    expect(isValidCustomId("ID-20250207-ABCDEFGHIJKL")).to.be.true;
+    expect(isValidCustomId("ID-20250207-ABCDEFGHIJK")).to.be.false;
+  });
+
+  it("should throw an error for invalid options", function () {
+    expect(() => isValidCustomId("ID", { segmentLength: 7 })).to.throw(
+      "The random segments have 36.2 bits of entropy, below the minimum of 39"
+    );
+  });
+});
+
+describe("toRegExp and toJsonSchema", function () {
+  it("should build a portable regular expression", function () {
+    expect(toRegExp({ includeDate: false }).source).to.equal(
+      "^ID-[0-9A-Z]{12}$"
+    );
+    expect(
+      toRegExp({ prefix: "A.B", alphabet: "unambiguous", lowercase: true })
+        .source
+    ).to.equal(
+      "^A\\.B-[0-9]{4}(?:0[1-9]|1[0-2])(?:0[1-9]|[12][0-9]|3[01])-[346-9a-hj-np-rt-y]{12}$"
+    );
+  });
+
+  it("should reject out-of-range date fields", function () {
+    const regExp = toRegExp({ useTimestamp: true });
+    expect(regExp.test("ID-20250207-235959-ABCDEFGHIJKL")).to.be.true;
+    expect(regExp.test("ID-20251307-235959-ABCDEFGHIJKL")).to.be.false;
+    expect(regExp.test("ID-20250207-240000-ABCDEFGHIJKL")).to.be.false;
+  });
+
+  it("should build a JSON Schema", function () {
+    expect(
+      toJsonSchema({ includeDate: false, includeCheckBit: true, postfix: "P" })
+    ).to.deep.equal({
+      type: "string",
+      pattern: "^ID-[0-9A-Z]{12}-P-[0-9A-Z]$",
+      minLength: 19,
+      maxLength: 19,
+    });
+  });
+});
+
+describe("timestamps and time zones", function () {
+  const now = () => new Date("2025-02-07T12:34:56.789Z");
+
+  it("should format the date and time in an IANA time zone", function () {
+    const options = { useTimestamp: true, timeZone: "Pacific/Honolulu", now };
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^ID-20250207-023456-[A-Z0-9]{12}$/);
+    expect(parseCustomId(id, options).date.toISOString()).to.equal(
+      "2025-02-07T12:34:56.000Z"
+    );
+  });
+
+  it("should use the offset in effect at the time of the ID", function () {
+    const options = { useTimestamp: true, timeZone: "America/New_York" };
+    const summer = parseCustomId("ID-20250707-123456-ABCDEFGHIJKL", options);
+    const winter = parseCustomId("ID-20250107-123456-ABCDEFGHIJKL", options);
+    expect(summer.date.toISOString()).to.equal("2025-07-07T16:34:56.000Z");
+    expect(winter.date.toISOString()).to.equal("2025-01-07T17:34:56.000Z");
+  });
+
+  it("should reject a time skipped by daylight saving time", function () {
+    const options = { useTimestamp: true, timeZone: "America/New_York" };
+    expect(() =>
+      parseCustomId("ID-20250309-023000-ABCDEFGHIJKL", options)
+    ).to.throw('Invalid date component "20250309 023000"');
+  });
+
+  it("should generate timestamps with the given precision", function () {
+    const precisions = {
+      minutes: [/^ID-20250207-1234-[A-Z0-9]{12}$/, "2025-02-07T12:34:00.000Z"],
+      seconds: [
+        /^ID-20250207-123456-[A-Z0-9]{12}$/,
+        "2025-02-07T12:34:56.000Z",
+      ],
+      milliseconds: [
+        /^ID-20250207-123456789-[A-Z0-9]{12}$/,
+        "2025-02-07T12:34:56.789Z",
+      ],
+    };
+    Object.entries(precisions).forEach(
+      ([timestampPrecision, [pattern, date]]) => {
+        const options = { useTimestamp: true, timestampPrecision, now };
+        const id = generateCustomId(options)();
+        expect(id).to.match(pattern);
+        expect(parseCustomId(id, options).date.toISOString()).to.equal(date);
+      }
+    );
+  });
+
+  it("should separate the date and time with the timestamp separator", function () {
+    const generateId = (timestampSeparator) =>
+      generateCustomId({ useTimestamp: true, timestampSeparator, now })();
+    expect(generateId("T")).to.match(/^ID-20250207T123456-[A-Z0-9]{12}$/);
+    expect(generateId(null)).to.match(/^ID-20250207123456-[A-Z0-9]{12}$/);
+    expect(generateId(undefined)).to.match(/^ID-20250207-123456-[A-Z0-9]{12}$/);
+  });
+
+  it("should encode the timestamp as a base-36 epoch time", function () {
+    const widths = { minutes: 7, seconds: 8, milliseconds: 10 };
+    Object.entries(widths).forEach(([timestampPrecision, width]) => {
+      const options = {
+        useTimestamp: true,
+        timestampEncoding: "base36",
+        timestampPrecision,
+        now,
+      };
+      const id = generateCustomId(options)();
+      const parsed = parseCustomId(id, options);
+      expect(parsed.time).to.have.lengthOf(width);
+      expect(id.startsWith(`ID-${parsed.time}-`)).to.be.true;
+      expect(now().getTime() - parsed.date.getTime()).to.be.within(0, 59_999);
+    });
+    expect(
+      generateCustomId({
+        useTimestamp: true,
+        timestampEncoding: "base36",
+        now,
+      })()
+    ).to.match(/^ID-00SRBCA8-/);
+  });
+
+  it("should sort base-36 epoch times in time order", function () {
+    const options = {
+      useTimestamp: true,
+      timestampEncoding: "base36",
+      timestampPrecision: "milliseconds",
+    };
+    const ids = [0, 35, 36, 1738931696789, 253402300799999].map((time) =>
+      generateCustomId({ ...options, now: () => time })()
+    );
+    expect([...ids].sort()).to.deep.equal(ids);
+  });
+
+  it("should support the epoch token in templates", function () {
+    const options = { format: "{epoch:seconds}.{rand:6}", now };
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^00SRBCA8\.[A-Z0-9]{6}$/);
+    expect(parseCustomId(id, options).date.toISOString()).to.equal(
+      "2025-02-07T12:34:56.000Z"
+    );
+    expect(() =>
+      generateCustomId({ format: "{epoch:hours}{rand:4}" })
+    ).to.throw("The {epoch} token requires a precision");
+    expect(() =>
+      generateCustomId({ format: "{epoch:seconds}{date:YY}{rand:4}" })
+    ).to.throw(
+      "must not combine an {epoch} token with {date} or {time} tokens"
+    );
+  });
+
+  it("should throw an error for invalid time zone and timestamp options", function () {
+    expect(() => generateCustomId({ timeZone: "Mars/Olympus" })).to.throw(
+      'Unknown time zone "Mars/Olympus"'
+    );
+    expect(() =>
+      generateCustomId({ timeZone: "UTC", useLocalTime: true })
+    ).to.throw("Time zone cannot be combined with useLocalTime");
+    expect(() => generateCustomId({ timestampPrecision: "minutes" })).to.throw(
+      "The timestampPrecision option requires useTimestamp"
+    );
+    expect(() =>
+      generateCustomId({ useTimestamp: true, timestampPrecision: "hours" })
+    ).to.throw(
+      "Timestamp precision must be one of the following: minutes, seconds, milliseconds"
+    );
+    expect(() =>
+      generateCustomId({ useTimestamp: true, timestampEncoding: "hex" })
+    ).to.throw('Timestamp encoding must be "date" or "base36"');
+    expect(() =>
+      generateCustomId({
+        useTimestamp: true,
+        timestampEncoding: "base36",
+        timeZone: "UTC",
+      })
+    ).to.throw("A base36 timestamp is an epoch time");
+    expect(() =>
+      generateCustomId({
+        useTimestamp: true,
+        timestampEncoding: "base36",
+        now: () => -1,
+      })()
+    ).to.throw("Epoch times before 1970 cannot be encoded");
+  });
+});
+
+describe("segment lengths", function () {
+  it("should generate segments with per-segment lengths", function () {
+    const options = { segmentLength: [4, 12], includeCheckBit: true };
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^ID-\d{8}-[A-Z0-9]{4}-[A-Z0-9]{12}-[A-Z0-9]$/);
+    expect(
+      parseCustomId(id, options).segments.map((segment) => segment.length)
+    ).to.deep.equal([4, 12]);
+  });
+
+  it("should generate more than 4 segments", function () {
+    const options = { includeDate: false, numSegments: 5, segmentLength: 4 };
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^ID(-[A-Z0-9]{4}){5}$/);
+    expect(parseCustomId(id, options).segments).to.have.lengthOf(5);
+    expect(isValidCustomId(id, options)).to.be.true;
+  });
+
+  it("should keep monotonic IDs sortable across per-segment lengths", function () {
+    const options = { monotonic: true, segmentLength: [3, 6], now: () => 0 };
+    const generateId = generateCustomId(options);
+    const ids = generateId.generateMany(50);
+    expect([...ids].sort()).to.deep.equal(ids);
+    expect(ids[0]).to.match(/^ID-0{10}-[A-Z0-9]{3}-[A-Z0-9]{6}$/);
+  });
+
+  it("should validate the total entropy instead of fixed ranges", function () {
+    expect(() =>
+      generateCustomId({ numSegments: 2, segmentLength: 4 })
+    ).to.not.throw();
+    expect(() => generateCustomId({ segmentLength: 40 })).to.not.throw();
+    expect(() => generateCustomId({ segmentLength: [3, 4] })).to.throw(
+      "The random segments have 36.2 bits of entropy, below the minimum of 39"
+    );
+    expect(() =>
+      generateCustomId({ segmentLength: [3, 4], minEntropyBits: null })
+    ).to.not.throw();
+  });
+
+  it("should throw an error for invalid segment lengths", function () {
+    expect(() =>
+      generateCustomId({ segmentLength: [8, 8], numSegments: 3 })
+    ).to.throw(
+      "Segment lengths must have one entry per segment, got 2 for 3 segments"
+    );
+    expect(() => generateCustomId({ segmentLength: [12, 0] })).to.throw(
+      "Segment length must be a positive integer or an array of positive integers"
+    );
+    expect(() => generateCustomId({ segmentLength: [] })).to.throw(
+      "Number of segments must be a positive integer"
+    );
+    expect(() => generateCustomId({ numSegments: 2.5 })).to.throw(
+      "Number of segments must be a positive integer"
+    );
+  });
+});
+
+describe("blocklist", function () {
+  // Returns a random source whose bytes select the given base-36 characters,
+  // then repeats the last one
+  const spell = (...texts) => {
+    const bytes = texts
+      .join("")
+      .split("")
+      .map((char) => "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ".indexOf(char));
+    let index = 0;
+    return (length) =>
+      Uint8Array.from(
+        { length },
+        () => bytes[Math.min(index++, bytes.length - 1)]
+      );
+  };
+
+  it("should regenerate random segments containing a blocked word", function () {
+    const generateId = generateCustomId({
+      includeDate: false,
+      segmentLength: 8,
+      random: spell("XXFUCKXX", "ABCDEFGH"),
+    });
+    expect(generateId()).to.equal("ID-ABCDEFGH");
+  });
+
+  it("should match leetspeak substitutions and ignore case", function () {
+    const generateId = generateCustomId({
+      includeDate: false,
+      segmentLength: 8,
+      lowercase: true,
+      random: spell("XX5H1TXX", "ABCDEFGH"),
+    });
+    expect(generateId()).to.equal("ID-abcdefgh");
+  });
+
+  it("should match words spanning the delimiter", function () {
+    const generateId = generateCustomId({
+      includeDate: false,
+      numSegments: 2,
+      segmentLength: 4,
+      random: spell("XXFU", "CKXX", "ABCD", "EFGH"),
+    });
+    expect(generateId()).to.equal("ID-ABCD-EFGH");
+  });
+
+  it("should allow matches made only of digits", function () {
+    ["12345567", "00800899", "71701234"].forEach((segment) => {
+      const generateId = generateCustomId({
+        includeDate: false,
+        segmentLength: 8,
+        random: spell(segment, "ABCDEFGH"),
+      });
+      expect(generateId()).to.equal(`ID-${segment}`);
+    });
+    const generateId = generateCustomId({
+      includeDate: false,
+      segmentLength: 8,
+      random: spell("X8008XXX", "ABCDEFGH"),
+    });
+    expect(generateId()).to.equal("ID-X8008XXX");
+    const generateLeetId = generateCustomId({
+      includeDate: false,
+      segmentLength: 8,
+      random: spell("XXB00BXX", "ABCDEFGH"),
+    });
+    expect(generateLeetId()).to.equal("ID-ABCDEFGH");
+  });
+
+  it("should still match numeric words in a custom blocklist", function () {
+    const generateId = generateCustomId({
+      includeDate: false,
+      segmentLength: 8,
+      blocklist: ["1488"],
+      random: spell("00148800", "ABCDEFGH"),
+    });
+    expect(generateId()).to.equal("ID-ABCDEFGH");
+  });
+
+  it("should accept a custom blocklist and extensions of the default one", function () {
+    const options = {
+      includeDate: false,
+      segmentLength: 8,
+      random: () => spell("XXPIFSCX", "ABCDEFGH"),
+    };
+    expect(
+      generateCustomId({ ...options, random: options.random() })()
+    ).to.equal("ID-XXPIFSCX");
+    expect(
+      generateCustomId({
+        ...options,
+        blocklist: [...defaultBlocklist, "pifsc"],
+        random: options.random(),
+      })()
+    ).to.equal("ID-ABCDEFGH");
+  });
+
+  it("should be disabled with null", function () {
+    const generateId = generateCustomId({
+      includeDate: false,
+      segmentLength: 8,
+      blocklist: null,
+      random: spell("XXFUCKXX"),
+    });
+    expect(generateId()).to.equal("ID-XXFUCKXX");
+  });
+
+  it("should skip blocked words when incrementing monotonic IDs", function () {
+    const options = {
+      monotonic: true,
+      segmentLength: 8,
+      now: () => 0,
+      random: (length) => new Uint8Array(length),
+      blocklist: ["b"],
+      alphabet: "ABC",
+      minEntropyBits: null,
+    };
+    const ids = generateCustomId(options).generateMany(20);
+    expect([...ids].sort()).to.deep.equal(ids);
+    ids.forEach((id) => {
+      expect(parseCustomId(id, options).segments[0]).to.match(/^[AC]{8}$/);
+    });
+  });
+
+  it("should account for the rejected space in the entropy estimate", function () {
+    const bits = (options) =>
+      -Math.log2(
+        estimateCollisionProbability({ includeDate: false, ...options }, 2)
+      );
+    expect(bits({ blocklist: null })).to.be.closeTo(12 * Math.log2(36), 1e-6);
+    expect(bits({})).to.be.below(bits({ blocklist: null }));
+    expect(bits({ alphabet: "numeric" })).to.equal(
+      bits({ alphabet: "numeric", blocklist: null })
+    );
+    expect(bits({ blocklist: ["a"] })).to.be.closeTo(
+      12 * Math.log2(36) - 12 * (1 / 36) * Math.LOG2E,
+      1e-6
+    );
+  });
+
+  it("should throw an error for an invalid or impossible blocklist", function () {
+    expect(() => generateCustomId({ blocklist: "fuck" })).to.throw(
+      "Blocklist must be an array of non-empty strings or null"
+    );
+    expect(() => generateCustomId({ blocklist: [""] })).to.throw(
+      "Blocklist must be an array of non-empty strings or null"
+    );
+    expect(() =>
+      generateCustomId({
+        alphabet: "AB",
+        segmentLength: 48,
+        blocklist: ["a", "b"],
+      })
+    ).to.throw("The blocklist rejects nearly all random segments");
+  });
+});
+
+describe("createIdRegistry", function () {
+  const types = {
+    sample: { prefix: "S", includeCheckBit: true, checkAlgorithm: "damm" },
+    trip: { prefix: "T", useTimestamp: true },
+    vessel: { prefix: "V", includeDate: false, segmentLength: 8 },
+  };
+
+  it("should generate IDs by type name and identify them", function () {
+    const registry = createIdRegistry(types);
+    Object.keys(types).forEach((type) => {
+      const id = registry.generate(type);
+      const identified = registry.identify(id);
+      expect(identified.type).to.equal(type);
+      expect(identified.parsed).to.deep.equal(parseCustomId(id, types[type]));
+    });
+    expect(registry.types).to.deep.equal(["sample", "trip", "vessel"]);
+  });
+
+  it("should define types one by one and return their generators", function () {
+    const registry = createIdRegistry()
+      .defineIdType("user", { prefix: "U", lowercase: true })
+      .defineIdType("site", { format: "SITE-{rand:4}-{date:YYMM}" });
+    expect(registry.generator("user")()).to.match(/^U-\d{8}-[a-z0-9]{12}$/);
+    expect(registry.generator("site").generateMany(2)).to.have.lengthOf(2);
+    expect(registry.identify(registry.generate("site")).type).to.equal("site");
+  });
+
+  it("should return null for IDs of no type or with an invalid check bit", function () {
+    const registry = createIdRegistry(types);
+    const id = registry.generate("sample");
+    const wrongCheckBit = id.slice(0, -1) + (id.endsWith("0") ? "1" : "0");
+    expect(registry.identify(wrongCheckBit)).to.be.null;
+    expect(registry.identify("X-20250207-ABCDEFGHIJKL")).to.be.null;
+    expect(registry.identify(42)).to.be.null;
+  });
+
+  it("should throw an error for ambiguous types", function () {
+    const registry = createIdRegistry(types);
+    expect(() =>
+      registry.defineIdType("specimen", { prefix: "S", includeCheckBit: true })
+    ).to.throw(
+      'ID type "specimen" is ambiguous with "sample": an ID can match both configurations'
+    );
+    expect(() =>
+      registry.defineIdType("any", {
+        prefix: null,
+        includeDate: false,
+        segmentLength: [1, 8],
+        alphabet: "base36",
+      })
+    ).to.throw('ID type "any" is ambiguous with "vessel"');
+    expect(() =>
+      registry.defineIdType("shortVessel", {
+        prefix: "V",
+        includeDate: false,
+        segmentLength: 9,
+      })
+    ).to.not.throw();
+  });
+
+  it("should throw an error for invalid or unknown type names", function () {
+    const registry = createIdRegistry(types);
+    expect(() => registry.defineIdType("trip", {})).to.throw(
+      'ID type "trip" is already defined'
+    );
+    expect(() => registry.defineIdType("", {})).to.throw(
+      "ID type name must be a non-empty string"
+    );
+    expect(() => registry.generate("user")).to.throw('Unknown ID type "user"');
+    expect(() => registry.defineIdType("user", { segmentLength: 7 })).to.throw(
+      "bits of entropy"
+    );
+  });
+});
+
+describe("worker ID and counter", function () {
+  const start = Date.UTC(2025, 1, 7, 1, 2, 3);
+  const options = {
+    workerId: 37,
+    useTimestamp: true,
+    timestampPrecision: "milliseconds",
+    now: () => start,
+  };
+
+  it("should encode the worker ID and count up within a tick", function () {
+    const ids = generateCustomId(options).generateMany(3);
+    expect(ids.map((id) => id.split("-")[3])).to.deep.equal([
+      "11000",
+      "11001",
+      "11002",
+    ]);
+    const { workerId, counter } = parseCustomId(ids[2], options);
+    expect(workerId).to.equal(37);
+    expect(counter).to.equal(2);
+  });
+
+  it("should restart the counter at every tick", function () {
+    let time = start;
+    const generateId = generateCustomId({ ...options, now: () => time });
+    generateId();
+    generateId();
+    time += 1;
+    expect(generateId().split("-")[3]).to.equal("11000");
+  });
+
+  it("should keep counting if the clock goes backwards", function () {
+    let time = start;
+    const generateId = generateCustomId({ ...options, now: () => time });
+    generateId();
+    time -= 1000;
+    const id = generateId();
+    expect(id.split("-")[3]).to.equal("11001");
+    expect(parseCustomId(id, options).date.getTime()).to.equal(start);
+  });
+
+  it("should use the tick of the date when there is no timestamp", function () {
+    let time = start;
+    const generateId = generateCustomId({
+      workerId: 1,
+      now: () => time,
+    });
+    generateId();
+    time += 3_600_000;
+    expect(generateId()).to.match(/^ID-20250207-01001-[A-Z0-9]{12}$/);
+  });
+
+  it("should never generate the same ID on different workers", function () {
+    const ids = [0, 1, 2].flatMap((workerId) =>
+      generateCustomId({
+        ...options,
+        workerId,
+        segmentLength: 1,
+        alphabet: "numeric",
+        random: createSeededRandom(1),
+      }).generateMany(100)
+    );
+    expect(new Set(ids).size).to.equal(300);
+  });
+
+  it("should throw an error when the counter runs out within a tick", function () {
+    const generateId = generateCustomId({
+      ...options,
+      counterLength: 1,
+      alphabet: "numeric",
+    });
+    expect(generateId.generateMany(10)).to.have.lengthOf(10);
+    expect(() => generateId()).to.throw(
+      'The counter ran out of its 10 values within one tick, use a longer counterLength or onCounterExhausted: "wait"'
+    );
+  });
+
+  it("should wait for the next tick when the counter runs out", function () {
+    let calls = 0;
+    const generateId = generateCustomId({
+      ...options,
+      counterLength: 1,
+      alphabet: "numeric",
+      onCounterExhausted: "wait",
+      now: () => start + Math.floor(calls++ / 20),
+    });
+    const ids = generateId.generateMany(12);
+    expect(ids[9]).to.match(/^ID-20250207-010203000-379-/);
+    expect(ids[10]).to.match(/^ID-20250207-010203001-370-/);
+    expect(ids[11]).to.match(/^ID-20250207-010203001-371-/);
+  });
+
+  it("should throw an error when waiting on a clock that does not advance", function () {
+    const generateId = generateCustomId({
+      format: "{prefix}-{epoch:milliseconds}-{worker}{counter}-{rand:8}",
+      workerId: 1,
+      now: () => start,
+      counterLength: 1,
+      alphabet: "numeric",
+      onCounterExhausted: "wait",
+    });
+    generateId.generateMany(10);
+    expect(() => generateId()).to.throw(
+      "The clock did not advance to the next tick while waiting for the counter"
+    );
+  });
+
+  it("should only wait for ticks of at most a second", function () {
+    expect(() =>
+      generateCustomId({ workerId: 1, onCounterExhausted: "wait" })
+    ).to.throw(
+      'onCounterExhausted: "wait" requires a time in seconds or milliseconds in the ID, it blocks for up to one tick of it'
+    );
+    expect(() =>
+      generateCustomId({
+        workerId: 1,
+        useTimestamp: true,
+        timestampPrecision: "minutes",
+        onCounterExhausted: "wait",
+      })
+    ).to.throw('onCounterExhausted: "wait" requires a time in seconds');
+    expect(() =>
+      generateCustomId({
+        workerId: 1,
+        useTimestamp: true,
+        onCounterExhausted: "wait",
+      })
+    ).to.not.throw();
+  });
+
+  it("should place the worker ID and counter in a format", function () {
+    const formatOptions = {
+      format: "{prefix}{worker}{counter}-{rand:4}-{epoch:seconds}{check}",
+      workerId: 5,
+      workerIdLength: 1,
+      counterLength: 2,
+      prefix: "W",
+      now: () => start,
+    };
+    const id = generateCustomId(formatOptions)();
+    expect(id).to.match(/^W500-[A-Z0-9]{4}-[A-Z0-9]{8}[A-Z0-9]$/);
+    expect(parseCustomId(id, formatOptions)).to.include({
+      workerId: 5,
+      counter: 0,
+    });
+    expect(toRegExp(formatOptions).test(id)).to.be.true;
+  });
+
+  it("should compose with the prefix, postfix and check bit", function () {
+    const composed = {
+      ...options,
+      prefix: "S",
+      postfix: "P",
+      includeCheckBit: true,
+      checkAlgorithm: "damm",
+    };
+    const id = generateCustomId(composed)();
+    expect(id).to.match(/^S-20250207-010203000-11000-[A-Z0-9]{12}-P-[A-Z0-9]$/);
+    expect(isValidCustomId(id, composed)).to.be.true;
+  });
+
+  it("should not require a minimum entropy by default", function () {
+    expect(() =>
+      generateCustomId({ ...options, segmentLength: 2 })
+    ).to.not.throw();
+  });
+
+  it("should throw an error for invalid worker options", function () {
+    expect(() => generateCustomId({ workerId: 1296 })).to.throw(
+      "Worker ID must be an integer from 0 to 1295, or null"
+    );
+    expect(() => generateCustomId({ workerId: 1.5 })).to.throw(
+      "Worker ID must be an integer"
+    );
+    expect(() =>
+      generateCustomId({
+        workerId: 100,
+        workerIdLength: 2,
+        alphabet: "numeric",
+      })
+    ).to.throw("Worker ID must be an integer from 0 to 99, or null");
+    expect(() => generateCustomId({ workerId: 1, counterLength: 0 })).to.throw(
+      "Counter length must be a positive integer"
+    );
+    expect(() =>
+      generateCustomId({ workerId: 1, workerIdLength: "2" })
+    ).to.throw("Worker ID length must be a positive integer");
+    expect(() =>
+      generateCustomId({ workerId: 1, onCounterExhausted: "skip" })
+    ).to.throw('The onCounterExhausted option must be "throw" or "wait"');
+    expect(() => generateCustomId({ counterLength: 2 })).to.throw(
+      "The counterLength option requires workerId"
+    );
+    expect(() =>
+      generateCustomId({ workerId: 1, includeDate: false })
+    ).to.throw(
+      "A workerId requires a date or timestamp in the ID, the counter restarts at every tick of it"
+    );
+    expect(() => generateCustomId({ workerId: 1, monotonic: true })).to.throw(
+      "Monotonic IDs cannot be combined with workerId"
+    );
+    expect(() =>
+      generateCustomId({ workerId: 1, format: "{rand:8}-{date:YYMMDD}" })
+    ).to.throw(
+      'Format "{rand:8}-{date:YYMMDD}" must contain the {worker} and {counter} tokens when a workerId is set'
+    );
+    expect(() => generateCustomId({ format: "{worker}-{rand:8}" })).to.throw(
+      "Format contains {worker} but no workerId is set"
+    );
+  });
+});
+
+describe("idIterator and createIdStream", function () {
+  const options = { prefix: "ROW", random: createSeededRandom(7) };
+  const expected = () =>
+    generateCustomId({
+      ...options,
+      random: createSeededRandom(7),
+    }).generateMany(5);
+
+  it("should iterate over IDs with for await", async function () {
+    const ids = [];
+    for await (const id of idIterator(
+      { ...options, random: createSeededRandom(7) },
+      { count: 5 }
+    )) {
+      ids.push(id);
+    }
+    expect(ids).to.deep.equal(expected());
+  });
+
+  it("should only generate IDs when the iterator is advanced", async function () {
+    const now = vi.fn(Date.now);
+    const iterator = idIterator({ now });
+    await iterator.next();
+    await iterator.next();
+    expect(now).toHaveBeenCalledTimes(2);
+    await iterator.return();
+  });
+
+  it("should stream IDs in object mode", async function () {
+    const stream = createIdStream(
+      { ...options, random: createSeededRandom(7) },
+      { count: 5 }
+    );
+    const ids = [];
+    for await (const id of stream) {
+      ids.push(id);
+    }
+    expect(ids).to.deep.equal(expected());
+  });
+
+  it("should stream IDs as newline-terminated text", async function () {
+    const stream = createIdStream(
+      { ...options, random: createSeededRandom(7) },
+      { count: 5, objectMode: false, highWaterMark: 32 }
+    );
+    let text = "";
+    for await (const chunk of stream) {
+      expect(chunk.length).to.be.below(64);
+      text += chunk;
+    }
+    expect(text).to.equal(`${expected().join("\n")}\n`);
+  });
+
+  it("should stop generating while the consumer does not read", async function () {
+    const now = vi.fn(Date.now);
+    const stream = createIdStream({ now }, { highWaterMark: 4 });
+    stream.read(0);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(now.mock.calls.length).to.equal(4);
+    stream.read();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(now.mock.calls.length).to.be.within(5, 8);
+    stream.destroy();
+  });
+
+  it("should end an empty stream", async function () {
+    const stream = createIdStream({}, { count: 0 });
+    const ids = [];
+    for await (const id of stream) {
+      ids.push(id);
+    }
+    expect(ids).to.deep.equal([]);
+  });
+
+  it("should destroy the stream with generation errors", async function () {
+    const stream = createIdStream({
+      workerId: 1,
+      counterLength: 1,
+      alphabet: "numeric",
+      now: () => 0,
+    });
+    const error = await new Promise((resolve) => {
+      stream.on("error", resolve);
+      stream.resume();
+    });
+    expect(error.message).to.include("The counter ran out of its 10 values");
+  });
+
+  it("should throw an error for invalid options or counts", async function () {
+    expect(() => idIterator({ segmentLength: 0 })).to.throw(
+      "Segment length must be a positive integer"
+    );
+    expect(() => idIterator({}, { count: -1 })).to.throw(
+      "Count must be a non-negative integer"
+    );
+    expect(() => createIdStream({}, { count: 1.5 })).to.throw(
+      "Count must be a non-negative integer"
+    );
+  });
+
+  it("should return the stream synchronously for piping", async function () {
+    const text = createIdStream(
+      { ...options, random: createSeededRandom(7) },
+      { count: 5, objectMode: false }
+    ).pipe(new PassThrough({ encoding: "utf8" }));
+    let piped = "";
+    for await (const chunk of text) {
+      piped += chunk;
+    }
+    expect(piped).to.equal(`${expected().join("\n")}\n`);
+  });
+});
+
+describe("entropy sources", function () {
+  // Fills every array with the same byte, so the IDs show which source was used
+  const constantSource = (byte) => ({
+    getRandomValues: vi.fn((array) => array.fill(byte)),
+  });
+
+  afterEach(function () {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("should prefer the global Web Crypto object", function () {
+    const source = constantSource(1);
+    vi.stubGlobal("crypto", source);
+    const getBuiltinModule = vi.spyOn(process, "getBuiltinModule");
+    expect(generateCustomId({ includeDate: false })()).to.equal(
+      "ID-111111111111"
+    );
+    expect(source.getRandomValues).toHaveBeenCalled();
+    expect(getBuiltinModule).not.toHaveBeenCalled();
+  });
+
+  it("should fall back to the Node.js crypto module without a global one", function () {
+    vi.stubGlobal("crypto", undefined);
+    const randomFillSync = vi.fn((array) => array.fill(2));
+    const getBuiltinModule = vi
+      .spyOn(process, "getBuiltinModule")
+      .mockReturnValue({ randomFillSync });
+    expect(generateCustomId({ includeDate: false })()).to.equal(
+      "ID-222222222222"
+    );
+    expect(getBuiltinModule).toHaveBeenCalledWith("crypto");
+    expect(randomFillSync).toHaveBeenCalled();
+  });
+
+  it("should use the Node.js crypto module with the global one disabled", function () {
+    // A script file, as -e exposes the crypto module as a global
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "custom-id-"));
+    const script = path.join(dir, "generate.mjs");
+    try {
+      const moduleUrl = new URL("../generateCustomId.js", import.meta.url);
+      fs.writeFileSync(
+        script,
+        `import { generateCustomId } from ${JSON.stringify(moduleUrl.href)};
+console.log(typeof globalThis.crypto, generateCustomId({ includeDate: false })());
+`
+      );
+      const result = spawnSync(
+        process.execPath,
+        ["--no-experimental-global-webcrypto", script],
+        { encoding: "utf8" }
+      );
+      expect(result.stderr).to.equal("");
+      expect(result.stdout).to.match(/^undefined ID-[A-Z0-9]{12}\n$/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should throw an error when no random source is available", function () {
+    vi.stubGlobal("crypto", undefined);
+    vi.stubGlobal("process", { ...process, getBuiltinModule: undefined });
+    const generateId = generateCustomId();
+    expect(() => generateId()).to.throw(
+      "No cryptographic random source is available, use Node.js 20.16+ or 22.3+ or pass an entropySource such as the webcrypto object of the crypto module"
+    );
+  });
+
+  it("should use an explicit entropySource over the platform's", function () {
+    const globalSource = constantSource(1);
+    vi.stubGlobal("crypto", globalSource);
+    const source = constantSource(3);
+    const generateId = generateCustomId({
+      includeDate: false,
+      entropySource: source,
+    });
+    expect(generateId.generateMany(2)).to.deep.equal([
+      "ID-333333333333",
+      "ID-333333333333",
+    ]);
+    // Drawn from the byte pool, with one call for both IDs
+    expect(source.getRandomValues).toHaveBeenCalledTimes(1);
+    expect(globalSource.getRandomValues).not.toHaveBeenCalled();
+  });
+
+  it("should fill large requests in chunks getRandomValues accepts", function () {
+    const source = {
+      getRandomValues: vi.fn((array) => {
+        if (array.length > 65536) {
+          throw new Error("QuotaExceededError");
+        }
+        return array.fill(4);
+      }),
+    };
+    const id = generateCustomId({
+      prefix: null,
+      includeDate: false,
+      segmentLength: 70000,
+      entropySource: source,
+      blocklist: null,
+    })();
+    expect(id).to.equal("4".repeat(70000));
+    expect(source.getRandomValues).toHaveBeenCalledTimes(2);
+  });
+
+  it("should throw an error for an invalid entropySource", function () {
+    expect(() => generateCustomId({ entropySource: {} })).to.throw(
+      "The entropySource option must have a getRandomValues method, or be null"
+    );
+    expect(() =>
+      generateCustomId({
+        entropySource: constantSource(0),
+        random: createSeededRandom(1),
+      })
+    ).to.throw("The random and entropySource options cannot be combined");
+  });
+
+  it("should not use top-level await", function () {
+    const source = fs.readFileSync(
+      new URL("../generateCustomId.js", import.meta.url),
+      "utf8"
+    );
+    // Top-level statements start at the beginning of a line
+    expect(source).to.not.match(/^\S.*\bawait\b/m);
+  });
+});
+
+describe("encodeId and decodeId", function () {
+  const options = { prefix: "U", includeDate: false, includeCheckBit: true };
+  const secret = "correct horse battery staple";
+
+  it("should encode integers into IDs of the options and decode them", function () {
+    [0, 1, 2, 42, 1_000_000, 2 ** 38].forEach((value) => {
+      const id = encodeId(value, options, secret);
+      expect(isValidCustomId(id, options)).to.be.true;
+      expect(decodeId(id, options, secret)).to.equal(value);
+    });
+  });
+
+  it("should encode deterministically and differently per secret", function () {
+    expect(encodeId(42, options, secret)).to.equal(
+      encodeId(42, options, secret)
+    );
+    expect(encodeId(42, options, secret)).to.not.equal(
+      encodeId(42, options, "another secret")
+    );
+    expect(encodeId(42, options, secret)).to.not.equal(
+      encodeId(43, options, secret)
+    );
+    expect(encodeId(7, options, new Uint8Array([1, 2, 3]))).to.equal(
+      encodeId(7, options, "\x01\x02\x03")
+    );
+  });
+
+  it("should not reveal the order of sequential integers", function () {
+    const ids = Array.from({ length: 100 }, (_, i) =>
+      encodeId(i, options, secret)
+    );
+    expect(new Set(ids).size).to.equal(100);
+    expect([...ids].sort()).to.not.deep.equal(ids);
+  });
+
+  it("should be a permutation of a small domain", function () {
+    const small = {
+      prefix: null,
+      includeDate: false,
+      segmentLength: 9,
+      alphabet: "numeric",
+      blocklist: null,
+      minEntropyBits: null,
+    };
+    const ids = new Set();
+    for (let value = 0; value < 59; value++) {
+      const id = encodeId(value, small, secret);
+      expect(id).to.match(/^\d{9}$/);
+      expect(decodeId(id, small, secret)).to.equal(value);
+      ids.add(id);
+    }
+    expect(ids.size).to.equal(59);
+    expect(() => encodeId(59, small, secret)).to.throw(
+      "Value 59 is too large, these options can encode values up to 58; use longer or more segments"
+    );
+  });
+
+  it("should keep blocked words out of encoded IDs", function () {
+    const blocked = {
+      prefix: null,
+      includeDate: false,
+      segmentLength: 30,
+      alphabet: "AB",
+      blocklist: ["AAAAAA"],
+      minEntropyBits: null,
+    };
+    for (let value = 0; value < 64; value++) {
+      const id = encodeId(value, blocked, secret);
+      expect(id).to.not.include("AAAAAA");
+      expect(decodeId(id, blocked, secret)).to.equal(value);
+    }
+  });
+
+  it("should reject IDs with a wrong secret or check bit", function () {
+    const id = encodeId(42, options, secret);
+    expect(() => decodeId(id, options, "wrong secret")).to.throw(
+      `ID "${id}" was not encoded with this secret and options`
+    );
+    const wrongCheckBit = id.slice(0, -1) + (id.endsWith("0") ? "1" : "0");
+    expect(() => decodeId(wrongCheckBit, options, secret)).to.throw(
+      "has an invalid check bit"
+    );
+    expect(() => decodeId("U-123", options, secret)).to.throw(
+      "does not match the configured format"
+    );
+  });
+
+  it("should reject most IDs that were not encoded", function () {
+    const generateId = generateCustomId({
+      ...options,
+      random: createSeededRandom(3),
+    });
+    const accepted = generateId.generateMany(200).filter((id) => {
+      try {
+        decodeId(id, options, secret);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+    expect(accepted).to.deep.equal([]);
+  });
+
+  it("should throw an error for invalid values, secrets or options", function () {
+    expect(() => encodeId(-1, options, secret)).to.throw(
+      "Value must be a non-negative safe integer"
+    );
+    expect(() => encodeId(1.5, options, secret)).to.throw(
+      "Value must be a non-negative safe integer"
+    );
+    expect(() => encodeId(1, options, "")).to.throw(
+      "Secret must be a non-empty string or Uint8Array"
+    );
+    expect(() => decodeId(42, options, secret)).to.throw("ID must be a string");
+    expect(() => encodeId(1, {}, secret)).to.throw(
+      "Encoded IDs cannot contain a date, time or worker ID, use includeDate: false or a format without them"
+    );
+    expect(() =>
+      encodeId(
+        1,
+        {
+          includeDate: false,
+          segmentLength: 5,
+          alphabet: "hex",
+          minEntropyBits: null,
+        },
+        secret
+      )
+    ).to.throw(
+      "The random segments are too short to encode integers, use longer or more segments"
+    );
+  });
+});
+
+describe("signed IDs", function () {
+  const options = {
+    prefix: "S",
+    includeCheckBit: true,
+    now: () => Date.UTC(2025, 1, 7),
+    signing: { key: "signing key" },
+  };
+
+  afterEach(function () {
+    vi.unstubAllGlobals();
+  });
+
+  it("should append a signature that verifies", function () {
+    const id = generateCustomId(options)();
+    expect(id).to.match(/^S-20250207-[0-9A-Z]{12}-[0-9A-Z]{8}-[0-9A-Z]$/);
+    expect(verifySignedId(id, options)).to.be.true;
+    expect(isValidCustomId(id, options)).to.be.true;
+    const parsed = parseCustomId(id, options);
+    expect(parsed.keyId).to.be.null;
+    expect(parsed.signature).to.equal(id.split("-")[3]);
+  });
+
+  it("should compute the signature as a truncated HMAC-SHA256 of the rest of the ID", function () {
+    const id = generateCustomId(options)();
+    const signed = id.split("-").slice(0, 3).join("-") + "-";
+    const digest = crypto
+      .createHmac("sha256", "signing key")
+      .update(signed)
+      .digest("hex");
+    const expected = (BigInt(`0x${digest}`) % 36n ** 8n)
+      .toString(36)
+      .toUpperCase()
+      .padStart(8, "0");
+    expect(id.split("-")[3]).to.equal(expected);
+  });
+
+  it("should sign identically without the Node.js crypto module", function () {
+    const id = generateCustomId({
+      ...options,
+      random: createSeededRandom(5),
+    })();
+    vi.stubGlobal("process", { ...process, getBuiltinModule: undefined });
+    expect(verifySignedId(id, options)).to.be.true;
+    expect(
+      generateCustomId({ ...options, random: createSeededRandom(5) })()
+    ).to.equal(id);
+  });
+
+  it("should reject tampered and malformed IDs", function () {
+    // Without a check bit only the signature catches a changed character
+    const unchecked = { ...options, includeCheckBit: false };
+    const id = generateCustomId(unchecked)();
+    const flip = (char) => (char === "A" ? "B" : "A");
+    [11, 22, id.length - 1].forEach((index) => {
+      const tampered =
+        id.slice(0, index) + flip(id[index]) + id.slice(index + 1);
+      expect(isValidCustomId(tampered, unchecked)).to.be.true;
+      expect(verifySignedId(tampered, unchecked)).to.be.false;
+    });
+    expect(
+      verifySignedId(id, { ...unchecked, signing: { key: "another key" } })
+    ).to.be.false;
+    expect(verifySignedId(id.slice(0, -1), unchecked)).to.be.false;
+    expect(verifySignedId(42, unchecked)).to.be.false;
+  });
+
+  it("should cover the signature with the check bit", function () {
+    const id = generateCustomId(options)();
+    const body = id.slice(0, -2);
+    // The character codes of A and B differ from those of other base-36
+    // characters by less than 36, so the legacy check bit always changes
+    const forged = `${body.slice(0, -1)}${body.endsWith("A") ? "B" : "A"}`;
+    expect(() => parseCustomId(`${forged}${id.slice(-2)}`, options)).to.throw(
+      "has an invalid check bit"
+    );
+  });
+
+  it("should verify IDs signed with any of the keys by their key ID", function () {
+    const keys = { K1: "first key", K2: new Uint8Array([1, 2, 3, 4]) };
+    const oldOptions = {
+      includeDate: false,
+      signing: { keys, keyId: "K1", length: 6 },
+    };
+    const newOptions = {
+      ...oldOptions,
+      signing: { keys, keyId: "K2", length: 6 },
+    };
+    const oldId = generateCustomId(oldOptions)();
+    const newId = generateCustomId(newOptions)();
+    expect(oldId).to.match(/^ID-[0-9A-Z]{12}-K1[0-9A-Z]{6}$/);
+    expect(newId).to.match(/^ID-[0-9A-Z]{12}-K2[0-9A-Z]{6}$/);
+    expect(parseCustomId(newId, newOptions).keyId).to.equal("K2");
+
+    const verifyOptions = { includeDate: false, signing: { keys, length: 6 } };
+    expect(verifySignedId(oldId, verifyOptions)).to.be.true;
+    expect(verifySignedId(newId, verifyOptions)).to.be.true;
+
+    const retired = {
+      includeDate: false,
+      signing: { keys: { K2: keys.K2 }, length: 6 },
+    };
+    expect(verifySignedId(oldId, retired)).to.be.false;
+    expect(verifySignedId(newId, retired)).to.be.true;
+    expect(verifySignedId(oldId.replace("-K1", "-K3"), verifyOptions)).to.be
+      .false;
+  });
+
+  it("should place the signature of a format at the {signature} token", function () {
+    const formatOptions = {
+      prefix: "F",
+      format: "{prefix}{rand:8}.{signature}-{check}",
+      signing: { key: "format key", length: 4 },
+    };
+    const id = generateCustomId(formatOptions)();
+    expect(id).to.match(/^F[0-9A-Z]{8}\.[0-9A-Z]{4}-[0-9A-Z]$/);
+    expect(verifySignedId(id, formatOptions)).to.be.true;
+    expect(() =>
+      generateCustomId({ ...formatOptions, format: "{prefix}{rand:8}" })
+    ).to.throw(
+      'Format "{prefix}{rand:8}" must contain the {signature} token when signing is set'
+    );
+    expect(() =>
+      generateCustomId({ format: "{rand:8}{signature}", minEntropyBits: null })
+    ).to.throw("Format contains {signature} but no signing option is set");
+  });
+
+  it("should sign encoded IDs", function () {
+    const encodeOptions = { includeDate: false, signing: { key: "k" } };
+    const id = encodeId(42, encodeOptions, "secret");
+    expect(verifySignedId(id, encodeOptions)).to.be.true;
+    expect(decodeId(id, encodeOptions, "secret")).to.equal(42);
+  });
+
+  it("should throw an error for invalid signing options", function () {
+    expect(() => generateCustomId({ signing: "key" })).to.throw(
+      "The signing option must be an object or null"
+    );
+    expect(() => generateCustomId({ signing: {} })).to.throw(
+      "The signing option must have either a key or keys"
+    );
+    expect(() =>
+      generateCustomId({ signing: { key: "a", keys: { A: "b" } } })
+    ).to.throw("The signing option must have either a key or keys");
+    expect(() => generateCustomId({ signing: { key: "" } })).to.throw(
+      "Signing key must be a non-empty string or Uint8Array"
+    );
+    expect(() =>
+      generateCustomId({ signing: { key: "a", length: 25 } })
+    ).to.throw("Signature length must be an integer from 1 to 24");
+    expect(() =>
+      generateCustomId({ alphabet: "hex", signing: { key: "a", length: 0 } })
+    ).to.throw("Signature length must be an integer from 1 to 32");
+    expect(() =>
+      generateCustomId({ signing: { key: "a", keyId: "A" } })
+    ).to.throw("A signing keyId requires keys");
+    expect(() => generateCustomId({ signing: { keys: {} } })).to.throw(
+      "Signing keys must contain at least one key"
+    );
+    expect(() =>
+      generateCustomId({ signing: { keys: { A: "a", BB: "b" }, keyId: "A" } })
+    ).to.throw(
+      'Signing key IDs must be non-empty, of equal length and use only characters of the alphabet, got "BB"'
+    );
+    expect(() =>
+      generateCustomId({ signing: { keys: { a: "a" }, keyId: "a" } })
+    ).to.throw("use only characters of the alphabet");
+    expect(() =>
+      generateCustomId({ signing: { keys: { A: "a" }, keyId: "B" } })
+    ).to.throw('Signing keyId "B" is not one of the keys');
+    expect(() => generateCustomId({ signing: { keys: { A: "a" } } })).to.throw(
+      "Signing with keys requires a keyId selecting the signing key"
+    );
+    expect(() => verifySignedId("ID-123", {})).to.throw(
+      "verifySignedId requires the signing option"
+    );
+  });
+});
+
+describe("getIdTimestamp and idRangeForDates", function () {
+  const time = Date.UTC(2025, 1, 7, 10, 30, 15, 250);
+  const generateAt = (options, at) =>
+    generateCustomId({ ...options, now: () => at })();
+
+  it("should return the creation time at the precision of the ID", function () {
+    [
+      [{}, Date.UTC(2025, 1, 7)],
+      [{ useTwoDigitYear: true }, Date.UTC(2025, 1, 7)],
+      [{ useTimestamp: true }, Date.UTC(2025, 1, 7, 10, 30, 15)],
+      [{ useTimestamp: true, timestampPrecision: "milliseconds" }, time],
+      [
+        { useTimestamp: true, timestampEncoding: "base36" },
+        Date.UTC(2025, 1, 7, 10, 30, 15),
+      ],
+      [{ monotonic: true }, time],
+      [
+        { useTimestamp: true, timeZone: "Pacific/Honolulu" },
+        Date.UTC(2025, 1, 7, 10, 30, 15),
+      ],
+      [
+        { format: "{rand:8}-{date:YYMMDD}", minEntropyBits: null },
+        Date.UTC(2025, 1, 7),
+      ],
+    ].forEach(([options, expected]) => {
+      const id = generateAt(options, time);
+      expect(getIdTimestamp(id, options).getTime()).to.equal(expected);
+    });
+  });
+
+  it("should read local dates in local time", function () {
+    const options = { useLocalTime: true, useTimestamp: true };
+    const local = new Date(2025, 1, 7, 23, 45, 10);
+    expect(getIdTimestamp(generateAt(options, local), options)).to.deep.equal(
+      local
+    );
+  });
+
+  it("should return the first occurrence of wall times repeated when clocks fall back", function () {
+    const options = { useTimestamp: true, timeZone: "America/New_York" };
+    // 01:30 EDT and 01:30 EST on 2025-11-02
+    const first = Date.UTC(2025, 10, 2, 5, 30);
+    const second = Date.UTC(2025, 10, 2, 6, 30);
+    [first, second].forEach((at) => {
+      expect(
+        getIdTimestamp(generateAt(options, at), options).getTime()
+      ).to.equal(first);
+    });
+  });
+
+  it("should throw an error for IDs without a date or not matching the options", function () {
+    expect(() =>
+      getIdTimestamp("ID-7KXG1L89Q2MZ", { includeDate: false })
+    ).to.throw("IDs of these options contain no date or time");
+    expect(() => getIdTimestamp("ID-7KXG1L89Q2MZ")).to.throw(
+      "does not match the configured format"
+    );
+    expect(() => getIdTimestamp(42)).to.throw("ID must be a string");
+  });
+
+  it("should bound the IDs of whole days without a timestamp", function () {
+    expect(
+      idRangeForDates(
+        new Date("2025-02-07T10:00:00Z"),
+        new Date("2025-02-09T23:00:00Z")
+      )
+    ).to.deep.equal({ lower: "ID-20250207", upper: "ID-2025020:" });
+  });
+
+  it("should find exactly the IDs of the range by string comparison", function () {
+    const hour = 3_600_000;
+    const start = Date.UTC(2025, 1, 7, 10);
+    const end = Date.UTC(2025, 1, 7, 12, 59, 59, 999);
+    [
+      { useTimestamp: true },
+      { useTimestamp: true, timestampPrecision: "minutes", delimiter: null },
+      { useTimestamp: true, timestampEncoding: "base36", prefix: "B" },
+      { monotonic: true, prefix: "M" },
+      { useTwoDigitYear: true, useTimestamp: true, timeZone: "Asia/Tokyo" },
+      {
+        format: "{prefix}/{date:YYYY/MM/DD}T{time:HH:mm}.{rand:10}",
+      },
+    ].forEach((options) => {
+      const { lower, upper } = idRangeForDates(start, end, options);
+      for (let at = start - 2 * hour; at < end + 2 * hour; at += hour / 4) {
+        const id = generateAt(options, at);
+        expect(
+          id >= lower && id < upper,
+          `${id} for ${new Date(at).toISOString()}`
+        ).to.equal(at >= start && at <= end);
+      }
+    });
+  });
+
+  it("should throw an error for options that do not sort IDs by time", function () {
+    const message =
+      "Range bounds require IDs that start with their date or time, after only the prefix and fixed text, with the date fields from the year down";
+    [
+      { includeDate: false },
+      { format: "{rand:8}-{date:YYYYMMDD}" },
+      { format: "{prefix}-{date:DDMMYYYY}-{rand:8}" },
+      { format: "{prefix}-{time:HHmm}-{rand:8}" },
+      { format: "{prefix}-{date:YYYYDD}-{rand:8}" },
+    ].forEach((options) => {
+      expect(() => idRangeForDates(0, 1, options)).to.throw(message);
+    });
+  });
+
+  it("should throw an error for invalid or unencodable dates", function () {
+    expect(() => idRangeForDates("today", Date.now())).to.throw(
+      "Start must be a valid Date or epoch milliseconds"
+    );
+    expect(() => idRangeForDates(Date.now(), new Date(NaN))).to.throw(
+      "End must be a valid Date or epoch milliseconds"
+    );
+    expect(() => idRangeForDates(2, 1)).to.throw("Start must not be after end");
+    expect(() =>
+      idRangeForDates(Date.UTC(1999, 11, 31), Date.UTC(2000, 0, 1), {
+        useTwoDigitYear: true,
+      })
+    ).to.throw("Two-digit years only sort the IDs from 2000 to 2099");
+    expect(() => idRangeForDates(-1000, 0, { monotonic: true })).to.throw(
+      "Epoch times before 1970 cannot be encoded"
+    );
+  });
+});
+
+describe("normalizeCustomId and suggestCorrections", function () {
+  const options = {
+    includeCheckBit: true,
+    checkAlgorithm: "iso7064",
+    now: () => Date.UTC(2025, 1, 7),
+  };
+  const id = generateCustomId({ ...options, random: createSeededRandom(8) })();
+
+  it("should normalize case, whitespace and delimiters", function () {
+    [
+      " id 20250207 7kxg1l89q2mz ",
+      "ID_20250207|7KXG1L89Q2MZ",
+      "id2025020 77kxg 1l89q2mz",
+      "ID.20250207#7kXg1L89q2Mz\n",
+    ].forEach((input) => {
+      expect(normalizeCustomId(input)).to.equal("ID-20250207-7KXG1L89Q2MZ");
+    });
+    expect(normalizeCustomId(id.toLowerCase(), options)).to.equal(id);
+  });
+
+  it("should honor lowercase, delimiter and prefix options", function () {
+    expect(
+      normalizeCustomId("ID 20250207 7KXG1L89Q2MZ", { lowercase: true })
+    ).to.equal("ID-20250207-7kxg1l89q2mz");
+    expect(
+      normalizeCustomId("u-x 20250207-7kxg1l89q2mz-p", {
+        prefix: "U-X",
+        postfix: "P",
+        delimiter: "|",
+      })
+    ).to.equal("U-X|20250207|7KXG1L89Q2MZ|P");
+    expect(
+      normalizeCustomId("id-20250207-7kxg1l89q2mz", { delimiter: null })
+    ).to.equal("ID202502077KXG1L89Q2MZ");
+    expect(
+      normalizeCustomId("s:2025 02 07/ab cd", {
+        prefix: "S",
+        format: "{prefix}:{date:YYYY-MM-DD}/{rand:2}.{rand:2}",
+        minEntropyBits: null,
+      })
+    ).to.equal("S:2025-02-07/AB.CD");
+  });
+
+  it("should keep delimiters that are characters of the alphabet", function () {
+    const dotted = {
+      includeDate: false,
+      alphabet: "0123456789.#",
+      segmentLength: 16,
+    };
+    expect(normalizeCustomId("id 0123.#-0123.#01.#", dotted)).to.equal(
+      "ID-0123.#0123.#01.#"
+    );
+  });
+
+  it("should read Crockford aliases as digits", function () {
+    expect(
+      normalizeCustomId("id-olil0123abcd", {
+        alphabet: "crockford",
+        includeDate: false,
+      })
+    ).to.equal("ID-01110123ABCD");
+    expect(
+      normalizeCustomId("ID-OLIL0123ABCD", { includeDate: false })
+    ).to.equal("ID-OLIL0123ABCD");
+  });
+
+  it("should throw an error for inputs of the wrong length", function () {
+    expect(() => normalizeCustomId("ID-20250207-7KXG1L89Q2M")).to.throw(
+      'ID "ID-20250207-7KXG1L89Q2M" has 21 characters besides whitespace and delimiters, these options expect 22'
+    );
+    expect(() => normalizeCustomId(42)).to.throw("ID must be a string");
+  });
+
+  it("should return only the normalized input if it is valid", function () {
+    expect(suggestCorrections(` ${id.toLowerCase()} `, options)).to.deep.equal([
+      id,
+    ]);
+  });
+
+  it("should suggest the ID for a confused character first", function () {
+    ["2O250207", "Z0250207", "20250Z07"].forEach((date) => {
+      const suggestions = suggestCorrections(
+        id.replace("20250207", date),
+        options
+      );
+      expect(suggestions[0]).to.equal(id);
+      suggestions.forEach((suggestion) => {
+        expect(isValidCustomId(suggestion, options)).to.be.true;
+      });
+    });
+  });
+
+  it("should correct the confused characters of the documented examples", function () {
+    expect(
+      suggestCorrections("id-2025O207-7kxg1l89q2mz-r", {
+        includeCheckBit: true,
+        checkAlgorithm: "damm",
+      })
+    ).to.deep.equal(["ID-20250207-7KXG1L89Q2MZ-R"]);
+    expect(
+      suggestCorrections("ID-2025O207-7KXG1L89Q2MZ-O", options)
+    ).to.deep.equal(["ID-20250207-7KXG1L89Q2MZ-O"]);
+  });
+
+  it("should suggest the ID for a transposition or substitution", function () {
+    const chars = [...id];
+    const index = [...chars.keys()].find(
+      (i) => i >= 12 && chars[i] !== chars[i + 1]
+    );
+    [chars[index], chars[index + 1]] = [chars[index + 1], chars[index]];
+    expect(suggestCorrections(chars.join(""), options)).to.include(id);
+
+    const changed =
+      id.slice(0, 15) + (id[15] === "Q" ? "R" : "Q") + id.slice(16);
+    const suggestions = suggestCorrections(changed, options);
+    expect(suggestions).to.include(id);
+    expect(new Set(suggestions).size).to.equal(suggestions.length);
+    suggestions.forEach((suggestion) => {
+      expect(suggestion).to.have.length(id.length);
+      expect(isValidCustomId(suggestion, options)).to.be.true;
+    });
+  });
+
+  it("should return no suggestions for inputs of the wrong length", function () {
+    expect(suggestCorrections(id.slice(0, -2), options)).to.deep.equal([]);
+  });
+
+  it("should require a check bit", function () {
+    expect(() => suggestCorrections(id)).to.throw(
+      "suggestCorrections requires a check bit, use includeCheckBit or a format with {check}"
+    );
+    expect(() => suggestCorrections(42, options)).to.throw(
+      "ID must be a string"
+    );
+  });
+});
+
+describe("convertCustomId and convertCustomIds", function () {
+  const from = { delimiter: "|", now: () => Date.UTC(2025, 1, 7, 10, 30, 15) };
+  const generateOld = (options = {}) =>
+    generateCustomId({ ...from, ...options, random: createSeededRandom(9) });
+
+  it("should convert the delimiter and add a check bit", function () {
+    const id = generateOld()();
+    const to = { includeCheckBit: true, checkAlgorithm: "damm" };
+    const converted = convertCustomId(id, from, to);
+    expect(converted).to.equal(
+      `${id.replaceAll("|", "-")}-${converted.slice(-1)}`
+    );
+    expect(isValidCustomId(converted, to)).to.be.true;
+    expect(convertCustomId(converted, to, from)).to.equal(id);
+  });
+
+  it("should keep the prefix and postfix unless the target options set them", function () {
+    const tagged = { prefix: "S", postfix: "P", delimiter: "|" };
+    const id = "S|20250207|7KXG1L89Q2MZ|P";
+    expect(convertCustomId(id, tagged, {})).to.equal(
+      "S-20250207-7KXG1L89Q2MZ-P"
+    );
+    expect(convertCustomId(id, tagged, { prefix: "T" })).to.equal(
+      "T-20250207-7KXG1L89Q2MZ-P"
+    );
+    expect(
+      convertCustomId("ID|20250207|7KXG1L89Q2MZ", from, {
+        includeCheckBit: true,
+        checkAlgorithm: "damm",
+      })
+    ).to.equal("ID-20250207-7KXG1L89Q2MZ-R");
+  });
+
+  it("should refuse to drop the prefix or postfix", function () {
+    const tagged = { prefix: "S", postfix: "P", delimiter: "|" };
+    expect(() => convertCustomIds([], tagged, { prefix: null })).to.throw(
+      'The target options have no prefix, converting would drop the prefix "S" of the IDs'
+    );
+    expect(() => convertCustomIds([], tagged, { postfix: null })).to.throw(
+      'The target options have no postfix, converting would drop the postfix "P" of the IDs'
+    );
+    expect(() =>
+      convertCustomIds([], tagged, {
+        format: "{prefix}-{date:YYYYMMDD}-{rand:12}",
+      })
+    ).to.throw("converting would drop the postfix");
+  });
+
+  it("should keep the date, time and random characters under new layout options", function () {
+    const options = { useTimestamp: true, timestampPrecision: "milliseconds" };
+    const id = generateOld(options)();
+    const to = {
+      prefix: "NEW",
+      postfix: "P",
+      useTimestamp: true,
+      timestampPrecision: "milliseconds",
+      timestampSeparator: "T",
+      delimiter: null,
+      lowercase: true,
+      segmentLength: [4, 8],
+    };
+    const converted = convertCustomId(id, { ...from, ...options }, to);
+    const original = parseCustomId(id, { ...from, ...options });
+    const parsed = parseCustomId(converted, to);
+    expect(parsed.prefix).to.equal("NEW");
+    expect(parsed.postfix).to.equal("P");
+    expect(parsed.date).to.deep.equal(original.date);
+    expect(parsed.segments.join("")).to.equal(
+      original.segments.join("").toLowerCase()
+    );
+  });
+
+  it("should convert between dates, epoch times and time zones that keep the time", function () {
+    const options = { useTimestamp: true };
+    const id = generateOld(options)();
+    const date = parseCustomId(id, { ...from, ...options }).date;
+    [
+      { useTimestamp: true, timestampEncoding: "base36" },
+      { useTimestamp: true, timeZone: "Asia/Kolkata" },
+      {
+        format: "{prefix}-{epoch:seconds}-{rand:12}",
+        minEntropyBits: null,
+      },
+    ].forEach((to) => {
+      const converted = convertCustomId(id, { ...from, ...options }, to);
+      expect(getIdTimestamp(converted, to)).to.deep.equal(date);
+      expect(convertCustomId(converted, to, { ...from, ...options })).to.equal(
+        id
+      );
+    });
+  });
+
+  it("should convert two-digit years to four-digit years but not back", function () {
+    const id = generateOld({ useTwoDigitYear: true })();
+    const converted = convertCustomId(
+      id,
+      { ...from, useTwoDigitYear: true },
+      {}
+    );
+    expect(converted).to.match(/^ID-20250207-[0-9A-Z]{12}$/);
+    expect(() =>
+      convertCustomId(converted, {}, { useTwoDigitYear: true })
+    ).to.throw(
+      "Converting would lose the date fields YYYY, the target options do not have them"
+    );
+  });
+
+  it("should keep worker IDs and counters", function () {
+    const options = { workerId: 42, useTimestamp: true };
+    const generateId = generateOld(options);
+    generateId();
+    const id = generateId();
+    const to = { ...options, workerId: 0, counterLength: 4, delimiter: "-" };
+    const parsed = parseCustomId(
+      convertCustomId(id, { ...from, ...options }, to),
+      to
+    );
+    expect(parsed.workerId).to.equal(42);
+    expect(parsed.counter).to.equal(1);
+  });
+
+  it("should verify the signatures of signed IDs and re-sign them", function () {
+    const signed = {
+      ...from,
+      signing: { keys: { A: "old key" }, keyId: "A" },
+    };
+    const id = generateCustomId({ ...signed, random: createSeededRandom(9) })();
+    const to = { signing: { keys: { B: "new key" }, keyId: "B" } };
+    const converted = convertCustomId(id, signed, to);
+    expect(verifySignedId(converted, to)).to.be.true;
+    expect(() =>
+      convertCustomId(id, signed, {
+        ...to,
+        signing: { keys: { B: "new key" } },
+      })
+    ).to.throw("Signing with keys requires a keyId selecting the signing key");
+    const forged = id.replace(/A[0-9A-Z]{8}$/, "A00000000");
+    expect(() => convertCustomId(forged, signed, to)).to.throw(
+      `ID "${forged}" has an invalid signature`
+    );
+  });
+
+  it("should refuse conversions that lose or lack information", function () {
+    const id = generateOld({ useTimestamp: true })();
+    [
+      [
+        { useTimestamp: true },
+        {},
+        "Converting would lose the date fields HH, mm, ss, the target options do not have them",
+      ],
+      [
+        {},
+        { includeDate: false },
+        "Converting would lose the date fields YYYY, MM, DD, the target options do not have them",
+      ],
+      [
+        {},
+        { useTimestamp: true },
+        "The IDs lack the date fields HH, mm, ss the target options need",
+      ],
+      [
+        {},
+        { timeZone: "Pacific/Honolulu" },
+        "Changing the time zone of IDs requires a time down to minutes in them",
+      ],
+      [
+        {},
+        { segmentLength: 10 },
+        "The random segments of the IDs have 12 characters, the target options expect 10",
+      ],
+      [
+        {},
+        { alphabet: "crockford" },
+        "Converting IDs between alphabets is not supported",
+      ],
+      [
+        { workerId: 1 },
+        {},
+        "The target options have no workerId, converting would lose the worker ID and counter",
+      ],
+      [
+        {},
+        { workerId: 1 },
+        "The IDs have no worker ID and counter for the target options",
+      ],
+    ].forEach(([fromOptions, toOptions, message]) => {
+      expect(() =>
+        convertCustomId(id, { ...from, ...fromOptions }, toOptions)
+      ).to.throw(message);
+      expect(() =>
+        convertCustomIds([id], { ...from, ...fromOptions }, toOptions)
+      ).to.throw(message);
+    });
+  });
+
+  it("should convert batches and report the IDs that fail", function () {
+    const ids = generateOld().generateMany(5);
+    ids.splice(2, 0, "ID|2025|XYZ", 42);
+    const { converted, errors } = convertCustomIds(new Set(ids), from, {});
+    expect(converted).to.have.length(7);
+    expect(converted.filter((id) => id !== null)).to.deep.equal(
+      ids
+        .filter((id) => typeof id === "string" && id.length > 11)
+        .map((id) => id.replaceAll("|", "-"))
+    );
+    expect(errors).to.deep.equal([
+      {
+        index: 2,
+        id: "ID|2025|XYZ",
+        message: 'ID "ID|2025|XYZ" does not match the configured format',
+      },
+      { index: 3, id: 42, message: "ID must be a string" },
+    ]);
+    expect(() =>
+      convertCustomIds("ID|20250207|7KXG1L89Q2MZ", from, {})
+    ).to.throw("IDs must be an iterable of strings");
+  });
+});
+
+describe("toBytes, fromBytes, toUUID and fromUUID", function () {
+  const id = "ID-20250207-7KXG1L89Q2MZ";
+  const layouts = [
+    {},
+    { useTimestamp: true, includeCheckBit: true, checkAlgorithm: "damm" },
+    { useTwoDigitYear: true, lowercase: true, postfix: "P", delimiter: "_" },
+    { useTimestamp: true, timeZone: "Pacific/Honolulu", prefix: null },
+    {
+      useTimestamp: true,
+      timestampEncoding: "base36",
+      timestampPrecision: "milliseconds",
+    },
+    { monotonic: true, segmentLength: 8 },
+    { workerId: 5, useTimestamp: true, segmentLength: 6 },
+    {
+      format: "{prefix}/{time:HHmm}/{date:YYYY-MM}/{rand:10}",
+      minEntropyBits: null,
+    },
+    {
+      alphabet: "crockford",
+      includeDate: false,
+      segmentLength: 8,
+      numSegments: 3,
+    },
+  ];
+
+  it("should convert IDs to bytes and back", function () {
+    const bytes = toBytes(id);
+    expect(bytes).to.be.an.instanceOf(Uint8Array);
+    expect(bytes).to.have.length(11);
+    expect(fromBytes(bytes)).to.equal(id);
+    expect(fromBytes(Buffer.from(bytes))).to.equal(id);
+  });
+
+  it("should round-trip the IDs of many layouts", function () {
+    layouts.forEach((options) => {
+      const generateId = generateCustomId({
+        ...options,
+        random: createSeededRandom(11),
+      });
+      const lengths = new Set();
+      generateId.generateMany(20).forEach((generated) => {
+        const bytes = toBytes(generated, options);
+        lengths.add(bytes.length);
+        expect(fromBytes(bytes, options)).to.equal(generated);
+        expect(fromUUID(toUUID(generated, options), options)).to.equal(
+          generated
+        );
+      });
+      expect(lengths.size).to.equal(1);
+    });
+  });
+
+  it("should sort the bytes and UUIDs of the default layout by date", function () {
+    const ids = [
+      Date.UTC(1999, 11, 31),
+      Date.UTC(2025, 1, 7),
+      Date.UTC(2025, 1, 8),
+      Date.UTC(2100, 0, 1),
+    ].map((time) =>
+      generateCustomId({ now: () => time, random: createSeededRandom(12) })()
+    );
+    const hex = ids.map((generated) =>
+      Buffer.from(toBytes(generated)).toString("hex")
+    );
+    expect([...hex].sort()).to.deep.equal(hex);
+    const uuids = ids.map((generated) => toUUID(generated));
+    expect([...uuids].sort()).to.deep.equal(uuids);
+  });
+
+  it("should produce RFC 9562 version 8 UUIDs", function () {
+    const uuid = toUUID(id);
+    expect(uuid).to.equal("00000000-00b9-88a6-9f0f-64dc860ce8db");
+    expect(uuid).to.match(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+    expect(fromUUID(uuid.toUpperCase())).to.equal(id);
+  });
+
+  it("should keep the signature and recompute the check bit", function () {
+    const options = {
+      includeCheckBit: true,
+      signing: { keys: { A: "old key", B: "new key" }, keyId: "A" },
+    };
+    const signed = generateCustomId(options)();
+    const rotated = { ...options, signing: { ...options.signing, keyId: "B" } };
+    expect(fromBytes(toBytes(signed, options), rotated)).to.equal(signed);
+    expect(
+      verifySignedId(fromBytes(toBytes(signed, options), rotated), rotated)
+    ).to.be.true;
+  });
+
+  it("should throw an error for IDs that do not match the options", function () {
+    expect(() => toBytes("ID-20250207-7KXG1L89Q2M")).to.throw(
+      "does not match the configured format"
+    );
+    expect(() => toUUID(42)).to.throw("ID must be a string");
+  });
+
+  it("should throw an error for invalid bytes", function () {
+    expect(() => fromBytes(new Uint8Array(10))).to.throw(
+      "Bytes must be a Uint8Array of 11 bytes for these options"
+    );
+    expect(() => fromBytes([...toBytes(id)])).to.throw(
+      "Bytes must be a Uint8Array of 11 bytes for these options"
+    );
+    expect(() => fromBytes(new Uint8Array(11).fill(255))).to.throw(
+      "Bytes do not encode an ID of these options"
+    );
+  });
+
+  it("should throw an error for invalid UUIDs and options that do not fit", function () {
+    expect(() => fromUUID("6ba7b810-9dad-41d1-80b4-00c04fd430c8")).to.throw(
+      '"6ba7b810-9dad-41d1-80b4-00c04fd430c8" is not a version 8 UUID'
+    );
+    expect(() => fromUUID("ffffffff-ffff-8fff-bfff-ffffffffffff")).to.throw(
+      'UUID "ffffffff-ffff-8fff-bfff-ffffffffffff" does not encode an ID of these options'
+    );
+    expect(() => toUUID(id, { segmentLength: 20 })).to.throw(
+      "IDs of these options carry 126 bits, more than the 122 bits a UUID holds; use shorter or fewer segments"
+    );
+  });
+});
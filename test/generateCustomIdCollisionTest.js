@@ -1,50 +1,478 @@
+import os from "os";
 import { performance } from "perf_hooks";
-import readline from "readline";
-import { generateCustomId } from "../generateCustomId.js";
+import { parseArgs } from "util";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+import {
+  estimateCollisionProbability,
+  generateCustomId,
+} from "../generateCustomId.js";
 
 /**
- * Valid segment options
- * numSegments: 1, segmentLength: 8-12
- * numSegments: 2, segmentLength: 5-10
- * numSegments: 3, segmentLength: 4-8
- * numSegments: 4, segmentLength: 3-6
+ * Collision test harness for generateCustomId.
+ *
+ * Sweeps every combination of segment count and length, generates the IDs
+ * across worker threads and reports, per configuration, the observed
+ * duplicates against the birthday estimate and a chi-square test of the
+ * character frequencies of the random segments. Prints JSON to stdout and
+ * progress to stderr, and exits with code 1 if a character of the alphabet
+ * never occurs.
+ *
+ * Seen IDs are kept either in sharded Sets, exact but about 100 bytes per ID,
+ * or in a Bloom filter in shared memory, about 4 bytes per ID at the default
+ * false positive rate, for hundreds of millions of IDs.
+ *
+ * Usage: npm run test:coll -- [--ids N] [--workers N] [--store sets|bloom] ...
  */
-const numSegments = 1; //default: 1 You can change this to test different numbers of segments
-const segmentLength = 12; //default: 12 You can change this to test different segment lengths
-const iterations = 1_000_000; // You can change this to test different numbers of iterations
-const ids = new Set(); // !!! The maximum size of a Set in Chrome and node.js is 16,777,216 (2^24) !!!
 
-let collisions = 0;
+const usage = `Usage: npm run test:coll -- [options]
 
-console.log(
-  `Running collision test for generateCustomId with ${iterations} iterations:`
-);
+  --ids <n>                  IDs to generate per configuration (default: 1000000)
+  --workers <n>              Worker threads generating IDs (default: available parallelism)
+  --store <sets|bloom>       Sharded Sets (exact) or a Bloom filter (default: sets)
+  --false-positive-rate <p>  Target false positive rate of the Bloom filter (default: 1e-6)
+  --num-segments <n,...>     Segment counts to sweep (default: 1,2,3,4)
+  --min-length <n>           Minimum total length of the random segments (default: 6)
+  --max-length <n>           Maximum total length of the random segments (default: 16)
+  --alphabet <name|chars>    Alphabet of the random segments (default: base36)
+  --blocklist                Use the default blocklist, which skews the character frequencies
+  --batch-size <n>           IDs per batch sent from a worker (default: 65536)`;
 
-const start = performance.now();
+// A Set holds at most 2^24 entries, so every shard is kept at half of that
+const MAX_SHARD_SIZE = 2 ** 23;
 
-const generateId = generateCustomId({
-  prefix: "ID",
-  segmentLength,
-  numSegments,
-});
-for (let i = 0; i < iterations; i++) {
-  const id = generateId();
+/**
+ * Hashes a string with 32-bit FNV-1a followed by the MurmurHash3 finalizer.
+ *
+ * @param {string} string - The string to hash.
+ * @param {number} seed - The FNV offset basis, different seeds give independent hashes.
+ * @returns {number} - An unsigned 32-bit hash.
+ */
+function hashString(string, seed) {
+  let hash = seed;
+  for (let i = 0; i < string.length; i++) {
+    hash = Math.imul(hash ^ string.charCodeAt(i), 0x01000193);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Returns the size of a Bloom filter for the given number of entries and
+ * false positive rate.
+ *
+ * @param {number} count - The number of entries.
+ * @param {number} falsePositiveRate - The target false positive rate.
+ * @returns {Object} - The number of bits, rounded up to 32-bit words, and hash functions.
+ */
+function bloomSize(count, falsePositiveRate) {
+  const bits =
+    Math.ceil(
+      (-Math.max(count, 1) * Math.log(falsePositiveRate)) / Math.LN2 ** 2 / 32
+    ) * 32;
+  const hashes = Math.max(
+    1,
+    Math.round((bits / Math.max(count, 1)) * Math.LN2)
+  );
+  return { bits, hashes };
+}
+
+/**
+ * Creates a Bloom filter over a SharedArrayBuffer, so every worker inserts
+ * into the same filter. Two workers inserting the same ID at the same moment
+ * can both miss it, which is negligible next to the false positives.
+ *
+ * @param {SharedArrayBuffer} buffer - The bits of the filter.
+ * @param {number} hashes - The number of hash functions.
+ * @returns {Object} - A filter with an add(id) method returning whether the ID was possibly seen.
+ */
+function createBloomFilter(buffer, hashes) {
+  const words = new Int32Array(buffer);
+  const bits = words.length * 32;
+  return {
+    add(id) {
+      const h1 = hashString(id, 0x811c9dc5);
+      const h2 = hashString(id, 0x9747b28c);
+      // Double hashing over 53-bit values, so filters over 2^32 bits are covered
+      let index = ((h1 % 2 ** 21) * 2 ** 32 + h2) % bits;
+      const step = (h2 * 2 ** 21 + (h1 >>> 11)) % bits || 1;
+      let seen = true;
+      for (let i = 0; i < hashes; i++) {
+        const word = Math.floor(index / 32);
+        const mask = 1 << index % 32;
+        if ((Atomics.or(words, word, mask) & mask) === 0) {
+          seen = false;
+        }
+        index = (index + step) % bits;
+      }
+      return seen;
+    },
+  };
+}
+
+/**
+ * Returns the expected number of false positives while inserting entries
+ * into a Bloom filter, integrated over its filling.
+ *
+ * @param {number} count - The number of entries inserted.
+ * @param {Object} size - The bits and hash functions of the filter.
+ * @returns {number} - The expected number of false positives.
+ */
+function expectedFalsePositives(count, { bits, hashes }) {
+  const steps = 1000;
+  let sum = 0;
+  for (let i = 0; i < steps; i++) {
+    const filled = ((i + 0.5) / steps) * count;
+    sum += (-Math.expm1((-hashes * filled) / bits)) ** hashes;
+  }
+  return (sum / steps) * count;
+}
+
+/**
+ * Returns the expected number of duplicates among IDs drawn uniformly from a
+ * keyspace, the count minus the expected number of distinct IDs.
+ *
+ * @param {number} count - The number of IDs.
+ * @param {number} keyspace - The number of possible IDs.
+ * @returns {number} - The expected number of duplicates.
+ */
+function expectedDuplicates(count, keyspace) {
+  if (count / keyspace < 1e-3) {
+    return (count * (count - 1)) / (2 * keyspace);
+  }
+  return count + keyspace * Math.expm1(count * Math.log1p(-1 / keyspace));
+}
+
+/**
+ * Returns the upper tail probability of the chi-square distribution with the
+ * Wilson-Hilferty approximation, accurate for the degrees of freedom of the
+ * alphabets.
+ *
+ * @param {number} statistic - The chi-square statistic.
+ * @param {number} degrees - The degrees of freedom.
+ * @returns {number} - The p-value.
+ */
+function chiSquarePValue(statistic, degrees) {
+  const variance = 2 / (9 * degrees);
+  const z =
+    (Math.cbrt(statistic / degrees) - (1 - variance)) / Math.sqrt(variance);
+  // Abramowitz and Stegun 7.1.26 approximation of erfc
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erfc =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+    Math.exp(-x * x);
+  return z >= 0 ? erfc / 2 : 1 - erfc / 2;
+}
+
+/**
+ * Returns the characters of an alphabet option, by generating a segment from
+ * a source that yields the bytes in order, so the first characters of the
+ * segment are the alphabet itself.
+ *
+ * @param {string} alphabet - The alphabet option, a built-in name or the characters.
+ * @returns {string[]} - The characters of the alphabet, in order.
+ */
+function resolveAlphabet(alphabet) {
+  const segment = generateCustomId({
+    prefix: null,
+    includeDate: false,
+    segmentLength: 256,
+    alphabet,
+    minEntropyBits: null,
+    blocklist: null,
+    random: (length) => Uint8Array.from({ length }, (_, i) => i),
+  })();
+  return [...new Set(segment)];
+}
+
+/**
+ * Generates IDs in a worker thread. With sharded Sets the IDs are sent to
+ * the main thread in batches, the next batch being generated once the main
+ * thread asks for it, so at most one batch per worker is in flight. With a
+ * Bloom filter the worker inserts the IDs itself.
+ */
+async function runWorker() {
+  const { options, count, batchSize, bloom } = workerData;
+  const generateId = generateCustomId(options);
+  const frequencies = new Map();
+  const filter = bloom ? createBloomFilter(bloom.buffer, bloom.hashes) : null;
+  const nextRequest = () =>
+    new Promise((resolve) => parentPort.once("message", resolve));
+
+  let duplicates = 0;
+  for (let generated = 0; generated < count; ) {
+    const size = Math.min(batchSize, count - generated);
+    const ids = generateId.generateMany(size);
+    for (const id of ids) {
+      for (const char of id) {
+        if (char !== "-") {
+          frequencies.set(char, (frequencies.get(char) ?? 0) + 1);
+        }
+      }
+      if (filter && filter.add(id)) {
+        duplicates++;
+      }
+    }
+    generated += size;
+    if (filter) {
+      parentPort.postMessage({ type: "progress", generated: size });
+    } else {
+      const next = nextRequest();
+      parentPort.postMessage({ type: "batch", ids: ids.join("\n") });
+      await next;
+    }
+  }
+  parentPort.postMessage({ type: "done", duplicates, frequencies });
+}
+
+/**
+ * Runs the collision test for one configuration across the workers.
+ *
+ * @param {Object} options - The configuration options passed to generateCustomId.
+ * @param {Object} settings - The parsed command-line settings.
+ * @returns {Promise<Object>} - The result of the configuration.
+ */
+async function runConfiguration(options, settings) {
+  const { ids: count, workers, store, falsePositiveRate, batchSize } = settings;
+  const keyspace = -1 / Math.log1p(-estimateCollisionProbability(options, 2));
+  const start = performance.now();
+
+  let bloom = null;
+  let shards = null;
+  if (store === "bloom") {
+    const size = bloomSize(count, falsePositiveRate);
+    bloom = { ...size, buffer: new SharedArrayBuffer(size.bits / 8) };
+  } else {
+    shards = Array.from(
+      { length: Math.max(1, Math.ceil(count / MAX_SHARD_SIZE)) },
+      () => new Set()
+    );
+  }
 
-  // Update the console with the current ID
-  readline.cursorTo(process.stdout, 0);
-  process.stdout.write(`Current ID: ${id}`);
+  let duplicates = 0;
+  let generated = 0;
+  let reported = 0;
+  // Every character of the alphabet starts at 0, so characters that never
+  // occur count against the chi-square test
+  const frequencies = new Map(
+    resolveAlphabet(options.alphabet).map((char) => [char, 0])
+  );
+  const reportProgress = () => {
+    if (generated - reported >= count / 10 || generated === count) {
+      reported = generated;
+      process.stderr.write(
+        `\r${options.numSegments}x${options.segmentLength}: ${generated}/${count} IDs`
+      );
+    }
+  };
 
-  if (ids.has(id)) {
-    collisions++;
+  await Promise.all(
+    Array.from({ length: workers }, (_, i) => {
+      const share = Math.floor(count / workers) + (i < count % workers ? 1 : 0);
+      const worker = new Worker(new URL(import.meta.url), {
+        workerData: { options, count: share, batchSize, bloom },
+      });
+      return new Promise((resolve, reject) => {
+        worker.on("error", reject);
+        worker.on("message", (message) => {
+          if (message.type === "batch") {
+            // Let the worker generate the next batch while this one is checked
+            worker.postMessage("next");
+            const ids = message.ids.split("\n");
+            for (const id of ids) {
+              const shard = shards[hashString(id, 0x811c9dc5) % shards.length];
+              if (shard.has(id)) {
+                duplicates++;
+              } else {
+                shard.add(id);
+              }
+            }
+            generated += ids.length;
+            reportProgress();
+          } else if (message.type === "progress") {
+            generated += message.generated;
+            reportProgress();
+          } else {
+            duplicates += message.duplicates;
+            message.frequencies.forEach((frequency, char) => {
+              frequencies.set(char, (frequencies.get(char) ?? 0) + frequency);
+            });
+            worker.terminate().then(resolve, reject);
+          }
+        });
+      });
+    })
+  );
+  process.stderr.write("\n");
+
+  const durationMs = performance.now() - start;
+  const expected = expectedDuplicates(count, keyspace);
+  const counts = [...frequencies.values()];
+  const characters = counts.reduce((sum, frequency) => sum + frequency, 0);
+  const expectedFrequency = characters / frequencies.size;
+  const missingCharacters = [...frequencies.keys()].filter(
+    (char) => frequencies.get(char) === 0
+  );
+  const statistic =
+    counts.reduce(
+      (sum, frequency) => sum + (frequency - expectedFrequency) ** 2,
+      0
+    ) / expectedFrequency;
+
+  const result = {
+    numSegments: options.numSegments,
+    segmentLength: options.segmentLength,
+    entropyBits: Math.log2(keyspace),
+    ids: count,
+    duplicates,
+    expectedDuplicates: expected,
+    zScore: expected > 0 ? (duplicates - expected) / Math.sqrt(expected) : 0,
+    collisionProbability: estimateCollisionProbability(options, count),
+    chiSquare: {
+      characters: frequencies.size,
+      statistic,
+      degreesOfFreedom: frequencies.size - 1,
+      pValue: chiSquarePValue(statistic, frequencies.size - 1),
+      missingCharacters,
+    },
+    durationMs: Math.round(durationMs),
+    idsPerSecond: Math.round(count / (durationMs / 1000)),
+  };
+  if (bloom) {
+    // Possible duplicates include the false positives of the filter
+    result.bloomFilter = {
+      bits: bloom.bits,
+      hashes: bloom.hashes,
+      expectedFalsePositives: expectedFalsePositives(count, bloom),
+    };
   } else {
-    ids.add(id);
+    result.shards = shards.length;
+  }
+  return result;
+}
+
+function parseSettings() {
+  const { values } = parseArgs({
+    options: {
+      ids: { type: "string", default: "1000000" },
+      workers: { type: "string", default: String(os.availableParallelism()) },
+      store: { type: "string", default: "sets" },
+      "false-positive-rate": { type: "string", default: "1e-6" },
+      "num-segments": { type: "string", default: "1,2,3,4" },
+      "min-length": { type: "string", default: "6" },
+      "max-length": { type: "string", default: "16" },
+      alphabet: { type: "string", default: "base36" },
+      blocklist: { type: "boolean", default: false },
+      "batch-size": { type: "string", default: "65536" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    console.log(usage);
+    process.exit(0);
+  }
+
+  const toPositiveInteger = (name, value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`--${name} must be a positive integer`);
+    }
+    return number;
+  };
+  if (!["sets", "bloom"].includes(values.store)) {
+    throw new Error('--store must be "sets" or "bloom"');
   }
+  const falsePositiveRate = Number(values["false-positive-rate"]);
+  if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+    throw new Error("--false-positive-rate must be between 0 and 1");
+  }
+  return {
+    ids: toPositiveInteger("ids", values.ids),
+    workers: toPositiveInteger("workers", values.workers),
+    store: values.store,
+    falsePositiveRate,
+    numSegments: values["num-segments"]
+      .split(",")
+      .map((value) => toPositiveInteger("num-segments", value)),
+    minLength: toPositiveInteger("min-length", values["min-length"]),
+    maxLength: toPositiveInteger("max-length", values["max-length"]),
+    alphabet: values.alphabet,
+    blocklist: values.blocklist,
+    batchSize: toPositiveInteger("batch-size", values["batch-size"]),
+  };
 }
 
-const end = performance.now();
-const duration = end - start;
+async function main() {
+  let settings;
+  try {
+    settings = parseSettings();
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    process.exit(2);
+  }
+
+  const results = [];
+  const skipped = [];
+  const start = performance.now();
+  for (const numSegments of settings.numSegments) {
+    for (
+      let segmentLength = Math.ceil(settings.minLength / numSegments);
+      segmentLength * numSegments <= settings.maxLength;
+      segmentLength++
+    ) {
+      // Only the random segments can collide, so the ID consists of them alone
+      const options = {
+        prefix: null,
+        includeDate: false,
+        numSegments,
+        segmentLength,
+        alphabet: settings.alphabet,
+        minEntropyBits: null,
+        ...(settings.blocklist ? {} : { blocklist: null }),
+      };
+      try {
+        generateCustomId(options);
+      } catch (error) {
+        skipped.push({ numSegments, segmentLength, reason: error.message });
+        continue;
+      }
+      const result = await runConfiguration(options, settings);
+      if (result.chiSquare.missingCharacters.length > 0) {
+        // Every character should occur at the default number of IDs, so a
+        // missing one points to a biased source
+        process.stderr.write(
+          `${numSegments}x${segmentLength}: characters never generated: ${result.chiSquare.missingCharacters.join(
+            ""
+          )}\n`
+        );
+        process.exitCode = 1;
+      }
+      results.push(result);
+    }
+  }
 
-console.log("\n"); // Move to the next line after the loop
-console.log(`Total collisions: ${collisions}`);
-console.log(`Collision rate: ${(collisions / iterations) * 100}%`);
-console.log(`Time taken: ${duration.toFixed(2)}ms`);
+  console.log(
+    JSON.stringify(
+      {
+        settings,
+        node: process.version,
+        durationMs: Math.round(performance.now() - start),
+        results,
+        skipped,
+      },
+      null,
+      2
+    )
+  );
+}
+
+if (isMainThread) {
+  main();
+} else {
+  runWorker();
+}
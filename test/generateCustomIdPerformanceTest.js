@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import { performance } from "perf_hooks";
 import { generateCustomId } from "../generateCustomId.js";
 
@@ -9,28 +10,51 @@ const segmentLengthRanges = {
 };
 const iterations = 10_000;
 
+// Calls crypto.randomBytes for every segment, bypassing the byte pool
+const unpooledRandom = (length) => crypto.randomBytes(length);
+
+function measure(generate) {
+  const start = performance.now();
+  generate();
+  return performance.now() - start;
+}
+
 console.log(
   `Performance test for generateCustomId with ${iterations} iterations:`
 );
+console.log("(per-ID without pool / per-ID with pool / batched generateMany)");
 
 Object.keys(segmentLengthRanges).forEach((numSegments) => {
   const { min, max } = segmentLengthRanges[numSegments];
   for (let length = min; length <= max; length++) {
-    const generateId = generateCustomId({
+    const options = {
       prefix: "ID",
       segmentLength: length,
       numSegments: parseInt(numSegments),
+    };
+    const generateUnpooledId = generateCustomId({
+      ...options,
+      random: unpooledRandom,
+    });
+    const generateId = generateCustomId(options);
+    const generateBatch = generateCustomId(options);
+
+    const unpooled = measure(() => {
+      for (let i = 0; i < iterations; i++) {
+        generateUnpooledId();
+      }
+    });
+    const pooled = measure(() => {
+      for (let i = 0; i < iterations; i++) {
+        generateId();
+      }
     });
-    const start = performance.now();
-    for (let i = 0; i < iterations; i++) {
-      generateId();
-    }
-    const end = performance.now();
-    const duration = end - start;
+    const batched = measure(() => generateBatch.generateMany(iterations));
+
     console.log(
-      `Num Segments ${numSegments}, Segment Length ${length}: ${duration.toFixed(
+      `Num Segments ${numSegments}, Segment Length ${length}: ${unpooled.toFixed(
         2
-      )}ms`
+      )}ms / ${pooled.toFixed(2)}ms / ${batched.toFixed(2)}ms`
     );
   }
 });